@@ -0,0 +1,275 @@
+/*
+ * Per-account trade history for index.html and books.html.
+ *
+ * With an account set, the page charts only that account's swaps / orders, marks
+ * the account's executed trades on the candles and summarizes them. Pool pages use
+ * the account's swaps, book pages its fill_order operations (offers are not trades).
+ */
+
+// Account id the page is limited to, null for every account
+let accountFilter = null;
+let accountName = null;
+const accountIds = new Map(); // lowercase name -> account id
+const accountNames = new Map(); // account id -> name
+
+// candle timestamp -> the account's trades in that candle
+let accountTradesByCandle = new Map();
+let accountPaneId = null;
+let accountOverlay = null; // { name, trades, timeframeSeconds } on the chart, kept for the invert toggle
+
+/**
+ * Resolve an account name or id to an account id
+ * @param {string} input - name (e.g. "alice") or id (e.g. "1.2.12345"), empty for none
+ * @returns {Promise<string|null>}
+ */
+async function resolveAccount(input) {
+    if (!input) return null;
+    if (/^1\.2\.\d+$/.test(input)) return input;
+
+    const name = input.toLowerCase();
+    if (accountIds.has(name)) return accountIds.get(name);
+
+    // lookup_accounts returns the first account at or after the name, so check it is the same one
+    const id = await rpc.rpcLookupAccounts({ account_name: name });
+    const account = id ? (await rpc.getObjects([id]))[id] : null;
+    if (!account || account.name !== name) {
+        throw new Error(`Unknown account "${input}"`);
+    }
+
+    accountIds.set(name, id);
+    return id;
+}
+
+/**
+ * Read the account field, resolve it and set accountFilter / accountName
+ * @returns {Promise<boolean>} false (after showing an error) when the account does not exist
+ */
+async function applyAccountFilter() {
+    const input = document.getElementById('account').value.trim();
+    try {
+        accountFilter = await resolveAccount(input);
+    } catch (error) {
+        showError(error.message);
+        return false;
+    }
+
+    accountName = accountFilter ? (await getAccountNames([accountFilter])).get(accountFilter) : null;
+    return true;
+}
+
+/**
+ * Names of account ids, fetched through the RPC pool once and cached
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, string>>} id -> name, the id itself when the account cannot be fetched
+ */
+async function getAccountNames(ids) {
+    const missing = [...new Set(ids)].filter(id => !accountNames.has(id));
+    if (missing.length) {
+        const accounts = await rpc.getObjects(missing);
+        for (const id of missing) {
+            if (accounts[id]) accountNames.set(id, accounts[id].name);
+        }
+    }
+    return new Map(ids.map(id => [id, accountNames.get(id) || id]));
+}
+
+/**
+ * Turn swap or fill hits into per-account trades
+ * @param {Object[]} hits
+ * @param {'pool'|'fill'} kind - swap results or fill_order operations
+ * @param {string} assetA - asset prices are quoted in
+ * @returns {Object[]} [{ timestamp, price, amountA, amountB, side, account }] where 'buy' means the account bought asset B
+ */
+function parseAccountTrades(hits, kind, assetA) {
+    const trades = [];
+
+    for (const hit of hits) {
+        try {
+            const fields = hit.fields;
+            const field = kind === 'pool' ? 'operation_history.operation_result.keyword' : 'operation_history.op';
+            if (!fields[field]) continue;
+
+            const body = JSON.parse(fields[field][0].replace(/\\\//g, '/'))[1];
+            const paid = kind === 'pool' ? body.paid && body.paid[0] : body.pays;
+            const received = kind === 'pool' ? body.received && body.received[0] : body.receives;
+            if (!paid || !received) continue;
+
+            const paidAmount = parseFloat(paid.amount) / 10 ** objectCache[paid.asset_id].precision;
+            const receivedAmount = parseFloat(received.amount) / 10 ** objectCache[received.asset_id].precision;
+            if (!(paidAmount > 0) || !(receivedAmount > 0)) continue;
+
+            const account = fields['account_history.account.keyword'];
+            const buy = paid.asset_id === assetA;
+            const amountA = buy ? paidAmount : receivedAmount;
+            const amountB = buy ? receivedAmount : paidAmount;
+
+            trades.push({
+                timestamp: new Date(hit.sort[0]).getTime(),
+                price: amountA / amountB,
+                amountA,
+                amountB,
+                side: buy ? 'buy' : 'sell',
+                account: account ? account[0] : null
+            });
+        } catch (error) {
+            console.warn('Error parsing account trade:', error);
+        }
+    }
+
+    return trades.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Utility: The same trade seen from the inverted pair, buying B is selling the new asset B
+function invertAccountTrade(trade) {
+    return {
+        ...trade,
+        price: trade.amountB / trade.amountA,
+        amountA: trade.amountB,
+        amountB: trade.amountA,
+        side: trade.side === 'buy' ? 'sell' : 'buy'
+    };
+}
+
+/**
+ * Volume, average prices and realized P&L (average cost) of a list of trades
+ * Sales larger than the position bought in the range were entered before it,
+ * so only the part covered by the tracked position is realized.
+ */
+function summarizeAccountTrades(trades) {
+    const bought = { a: 0, b: 0 };
+    const sold = { a: 0, b: 0 };
+    let position = 0; // asset B bought in the range and not sold yet
+    let cost = 0;     // asset A paid for that position
+    let realized = 0;
+
+    for (const trade of trades) {
+        if (trade.side === 'buy') {
+            bought.a += trade.amountA;
+            bought.b += trade.amountB;
+            position += trade.amountB;
+            cost += trade.amountA;
+        } else {
+            sold.a += trade.amountA;
+            sold.b += trade.amountB;
+            const covered = Math.min(trade.amountB, position);
+            if (covered > 0) {
+                const averageCost = cost / position;
+                realized += covered * (trade.price - averageCost);
+                cost -= covered * averageCost;
+                position -= covered;
+            }
+        }
+    }
+
+    return {
+        count: trades.length,
+        bought,
+        sold,
+        averageBuy: bought.b > 0 ? bought.a / bought.b : null,
+        averageSell: sold.b > 0 ? sold.a / sold.b : null,
+        realized,
+        position,
+        averageCost: position > 0 ? cost / position : null
+    };
+}
+
+// Register the ACCOUNT_TRADES marker indicator once klinecharts is available
+function registerAccountIndicator() {
+    klinecharts.registerIndicator({
+        name: 'ACCOUNT_TRADES',
+        shortName: 'Account trades',
+        series: 'price',
+        figures: [],
+        calc: (dataList) => dataList.map(candle => ({ trades: accountTradesByCandle.get(candle.timestamp) || [] })),
+        // Buys as green triangles under the price, sells as red triangles above it
+        draw: ({ ctx, visibleRange, indicator, xAxis, yAxis }) => {
+            const size = 5;
+            for (let i = visibleRange.from; i < visibleRange.to; i++) {
+                const trades = indicator.result[i] && indicator.result[i].trades;
+                if (!trades || !trades.length) continue;
+
+                const x = xAxis.convertToPixel(i);
+                for (const trade of trades) {
+                    const y = yAxis.convertToPixel(trade.price);
+                    const tip = trade.side === 'buy' ? y + 2 : y - 2;
+                    const base = trade.side === 'buy' ? tip + size * 1.6 : tip - size * 1.6;
+                    ctx.fillStyle = trade.side === 'buy' ? 'rgb(48, 222, 36)' : 'rgb(255, 35, 31)';
+                    ctx.beginPath();
+                    ctx.moveTo(x, tip);
+                    ctx.lineTo(x - size, base);
+                    ctx.lineTo(x + size, base);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+            return true;
+        }
+    });
+}
+
+function removeAccountOverlay() {
+    if (accountPaneId && chart) {
+        chart.removeIndicator(accountPaneId, 'ACCOUNT_TRADES');
+    }
+    accountPaneId = null;
+    accountOverlay = null;
+    accountTradesByCandle = new Map();
+    document.getElementById('account-panel').innerHTML = '';
+}
+
+/**
+ * Mark the filtered account's trades on the chart and show its summary
+ * @param {Object[]} hits - swap or fill hits of the loaded range, for every account
+ * @param {'pool'|'fill'} kind
+ * @param {string} assetA
+ * @param {string} assetB
+ * @param {number} timeframeSeconds
+ */
+function updateAccountOverlay(hits, kind, assetA, assetB, timeframeSeconds) {
+    removeAccountOverlay();
+    if (!accountFilter) return;
+
+    const trades = parseAccountTrades(filterHitsByAccount(hits, accountFilter), kind, assetA);
+    showAccountTrades(accountName, trades, assetA, assetB, timeframeSeconds);
+}
+
+/**
+ * Mark one account's trades on the chart and summarize them in the account panel
+ * @param {string} name - shown in the summary
+ * @param {Object[]} trades - from parseAccountTrades, all of the same account
+ */
+function showAccountTrades(name, trades, assetA, assetB, timeframeSeconds) {
+    removeAccountOverlay();
+
+    for (const trade of trades) {
+        const key = alignToTimeframe(trade.timestamp, timeframeSeconds);
+        if (!accountTradesByCandle.has(key)) accountTradesByCandle.set(key, []);
+        accountTradesByCandle.get(key).push(trade);
+    }
+    accountPaneId = chart.createIndicator('ACCOUNT_TRADES', true, { id: 'candle_pane' });
+    accountOverlay = { name, trades, timeframeSeconds };
+
+    const symbolA = objectCache[assetA].symbol;
+    const symbolB = objectCache[assetB].symbol;
+    const summary = summarizeAccountTrades(trades);
+    const price = (value) => value === null ? 'N/A' : value.toFixed(8);
+
+    document.getElementById('account-panel').innerHTML = `
+        <strong>${name}</strong> | ${summary.count} trades
+        | Bought ${summary.bought.b.toFixed(8)} ${symbolB} for ${summary.bought.a.toFixed(8)} ${symbolA} (avg entry ${price(summary.averageBuy)})
+        | Sold ${summary.sold.b.toFixed(8)} ${symbolB} for ${summary.sold.a.toFixed(8)} ${symbolA} (avg exit ${price(summary.averageSell)})
+        | Realized P&amp;L ${summary.realized.toFixed(8)} ${symbolA}
+        | Open ${summary.position.toFixed(8)} ${symbolB} @ ${price(summary.averageCost)}
+    `;
+}
+
+// Invert toggle: mark the same trades in the other orientation, assetA / assetB are already swapped
+function invertAccountOverlay(assetA, assetB) {
+    if (!accountOverlay) return;
+    const { name, trades, timeframeSeconds } = accountOverlay;
+    showAccountTrades(name, trades.map(invertAccountTrade), assetA, assetB, timeframeSeconds);
+}
+
+if (typeof klinecharts !== 'undefined') {
+    registerAccountIndicator();
+}
@@ -0,0 +1,187 @@
+/*
+ * Server-side candle building with Elasticsearch date_histogram aggregations.
+ *
+ * Each bucket runs a painless scripted_metric that reads the same JSON string the
+ * raw-hit parsers use (operation result for pools, operation for books), so one
+ * request returns a whole range of candles. Callers fall back to fetching raw
+ * hits when the field cannot be aggregated on or the request fails.
+ */
+const AGGREGATION_MIN_TIMEFRAME = 86400; // Daily and longer candles use aggregations
+
+// field -> true/false, filled lazily by isFieldAggregatable
+const aggregatableFields = {};
+
+// Ask _field_caps whether every mapping of a field supports doc values
+async function isFieldAggregatable(field) {
+    if (field in aggregatableFields) return aggregatableFields[field];
+
+    try {
+        const response = await fetch(
+            ELASTICSEARCH_URL.replace(/_search$/, '_field_caps') + '?fields=' + encodeURIComponent(field)
+        );
+        if (!response.ok) {
+            throw new Error(`Elasticsearch error: ${response.statusText}`);
+        }
+        const data = await response.json();
+        const mappings = Object.values(data.fields[field] || {});
+        aggregatableFields[field] = mappings.length > 0 && mappings.every(mapping => mapping.aggregatable);
+    } catch (error) {
+        console.warn(`Field caps check failed for ${field}:`, error.message);
+        aggregatableFields[field] = false;
+    }
+
+    return aggregatableFields[field];
+}
+
+// Painless snippet reading {"amount":N,"asset_id":"1.3.X"} that follows "<key>": in the string `s`
+function painlessAssetAmount(key, name) {
+    return `
+        int ${name}At = s.indexOf('"${key}":');
+        if (${name}At < 0) { return; }
+        int ${name}AmountAt = s.indexOf('"amount":', ${name}At);
+        int ${name}AssetAt = s.indexOf('"asset_id":"', ${name}At);
+        if (${name}AmountAt < 0 || ${name}AssetAt < 0) { return; }
+        ${name}AmountAt += 9;
+        int ${name}AmountEnd = ${name}AmountAt;
+        while (${name}AmountEnd < s.length() && s.charAt(${name}AmountEnd) != (char)',' && s.charAt(${name}AmountEnd) != (char)'}') {
+            ${name}AmountEnd++;
+        }
+        double ${name}Amount = Double.parseDouble(s.substring(${name}AmountAt, ${name}AmountEnd).replace('"', ''));
+        ${name}AssetAt += 12;
+        String ${name}Asset = s.substring(${name}AssetAt, s.indexOf('"', ${name}AssetAt));
+    `;
+}
+
+/**
+ * Build the scripted_metric computing one OHLCV candle per bucket
+ * Mirrors parsePoolTrades / parseAssetPairTrades followed by tradesToCandles.
+ * @param {Object} spec
+ * @param {string} spec.field - keyword field holding the operation JSON
+ * @param {string} spec.paidKey - key of the paid amount ("paid", "amount_to_sell")
+ * @param {string} spec.receivedKey - key of the received amount ("received", "min_to_receive")
+ * @param {string} spec.assetA - asset the price is quoted in
+ * @param {string[]} spec.assets - both asset IDs of the pair
+ */
+function buildCandleMetric(spec) {
+    const divisors = Object.fromEntries(
+        spec.assets.map(id => [id, 10 ** objectCache[id].precision])
+    );
+
+    return {
+        "scripted_metric": {
+            "params": { "field": spec.field, "assetA": spec.assetA, "divisors": divisors },
+            "init_script": `
+                state.n = 0; state.va = 0.0; state.vb = 0.0;
+                state.ft = Long.MAX_VALUE; state.fp = 0.0;
+                state.lt = Long.MIN_VALUE; state.lp = 0.0;
+                state.h = -Double.MAX_VALUE; state.l = Double.MAX_VALUE;
+            `,
+            "map_script": `
+                if (doc[params.field].size() == 0) { return; }
+                String s = doc[params.field].value;
+                ${painlessAssetAmount(spec.paidKey, 'paid')}
+                ${painlessAssetAmount(spec.receivedKey, 'received')}
+                if (!params.divisors.containsKey(paidAsset) || !params.divisors.containsKey(receivedAsset)) { return; }
+                double paid = paidAmount / params.divisors.get(paidAsset);
+                double received = receivedAmount / params.divisors.get(receivedAsset);
+                if (paid <= 0 || received <= 0) { return; }
+                boolean paidA = paidAsset == params.assetA;
+                double price = paidA ? paid / received : received / paid;
+                long t = doc['block_data.block_time'].value.toInstant().toEpochMilli();
+                state.n += 1;
+                state.va += paidA ? paid : received;
+                state.vb += paidA ? received : paid;
+                if (t < state.ft) { state.ft = t; state.fp = price; }
+                if (t >= state.lt) { state.lt = t; state.lp = price; }
+                state.h = Math.max(state.h, price);
+                state.l = Math.min(state.l, price);
+            `,
+            "combine_script": "return state;",
+            "reduce_script": `
+                Map r = ['n': 0, 'va': 0.0, 'vb': 0.0, 'ft': Long.MAX_VALUE, 'fp': 0.0, 'lt': Long.MIN_VALUE, 'lp': 0.0,
+                         'h': -Double.MAX_VALUE, 'l': Double.MAX_VALUE];
+                for (s in states) {
+                    if (s == null || s.n == 0) { continue; }
+                    r.n += s.n;
+                    r.va += s.va;
+                    r.vb += s.vb;
+                    if (s.ft < r.ft) { r.ft = s.ft; r.fp = s.fp; }
+                    if (s.lt >= r.lt) { r.lt = s.lt; r.lp = s.lp; }
+                    r.h = Math.max(r.h, s.h);
+                    r.l = Math.min(r.l, s.l);
+                }
+                return r;
+            `
+        }
+    };
+}
+
+// Utility: date_histogram interval matching alignToTimeframe (ISO weeks and calendar months)
+function histogramInterval(timeframeSeconds) {
+    if (!isCalendarTimeframe(timeframeSeconds)) return { fixed_interval: `${timeframeSeconds}s` };
+    const interval = { [DAY_SECONDS]: '1d', [WEEK_SECONDS]: '1w', [MONTH_SECONDS]: '1M' }[timeframeSeconds];
+    return { calendar_interval: interval, time_zone: candleTimeZone };
+}
+
+/**
+ * Fetch candles for a range in a single date_histogram request
+ * @param {Object} searchQuery - the raw-hit query (from buildPoolQuery / buildAssetPairQuery)
+ * @param {Object} spec - see buildCandleMetric
+ * @param {number} timeframeSeconds
+ * @param {'carry'|'gaps'|'collapse'} [gaps] - policy for periods without trades
+ * @returns {Promise<Object[]|null>} candles like tradesToCandles, or null when aggregation is not supported
+ */
+async function queryAggregatedCandles(searchQuery, spec, timeframeSeconds, gaps = 'carry') {
+    if (!await isFieldAggregatable(spec.field)) return null;
+
+    const query = {
+        "size": 0,
+        "query": searchQuery.query,
+        "aggs": {
+            "candles": {
+                "date_histogram": {
+                    "field": "block_data.block_time",
+                    // Calendar buckets in the candle time zone, fixed intervals from the epoch, like alignToTimeframe
+                    ...histogramInterval(timeframeSeconds),
+                    "min_doc_count": 1
+                },
+                "aggs": { "ohlc": buildCandleMetric(spec) }
+            }
+        }
+    };
+
+    try {
+        updateProgress(50, 'Aggregating candles in Elasticsearch...');
+        const response = await fetch(ELASTICSEARCH_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(query)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Elasticsearch error: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const candlesWithTrades = data.aggregations.candles.buckets
+            .map(bucket => [bucket.key, bucket.ohlc.value])
+            .filter(([, ohlc]) => ohlc && ohlc.n > 0)
+            .map(([timestamp, ohlc]) => ({
+                timestamp,
+                open: ohlc.fp,
+                high: ohlc.h,
+                low: ohlc.l,
+                close: ohlc.lp,
+                volume: ohlc.vb,
+                volumeA: ohlc.va,
+                volumeB: ohlc.vb
+            }));
+
+        return fillCandleGaps(candlesWithTrades, timeframeSeconds, gaps);
+    } catch (error) {
+        // Scripts disabled, field without doc values on some index, etc. - use raw hits from now on
+        console.warn(`Aggregation on ${spec.field} failed, falling back to raw hits:`, error.message);
+        aggregatableFields[spec.field] = false;
+        return null;
+    }
+}
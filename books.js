@@ -1,3 +1,6 @@
+// 'offers' charts limit_order_create prices, 'fills' charts executed fill_order prices
+let bookSource = 'offers';
+
 // Query builder for asset pair swaps (limit orders)
 function buildAssetPairQuery(assetA, assetB, startMs, stopMs, lastSortValue) {
     const query = {
@@ -5,6 +8,7 @@ function buildAssetPairQuery(assetA, assetB, startMs, stopMs, lastSortValue) {
         "sort": [{ "block_data.block_time": { "order": "desc" } }],
         "fields": [
             { "field": "operation_history.op" },
+            { "field": "operation_history.operation_result.keyword" },
             { "field": "account_history.account.keyword" },
             { "field": "account_history.operation_id" },
             { "field": "block_data.block_num" }
@@ -59,8 +63,11 @@ function buildAssetPairQuery(assetA, assetB, startMs, stopMs, lastSortValue) {
 
 // Clean wrapper function
 async function getAssetPairSwaps(assetA, assetB, startMs, stopMs) {
-    return queryElasticsearchWithPagination(
-        (lastSort) => buildAssetPairQuery(assetA, assetB, startMs, stopMs, lastSort),
+    // The query matches both directions, so A:B and B:A share one cache entry
+    const pair = [assetA, assetB].sort().join(':');
+    return queryWithHitCache(
+        `book:${pair}`,
+        (start, stop, lastSort) => buildAssetPairQuery(assetA, assetB, start, stop, lastSort),
         startMs, stopMs
     );
 }
@@ -85,13 +92,13 @@ function parseAssetPairTrades(hits, assetA) {
                 const paidAmount = parseFloat(opResult.amount_to_sell.amount) / paidPrec;
                 const receivedAmount = parseFloat(opResult.min_to_receive.amount) / recvPrec;
                 if (paidAmount > 0 && receivedAmount > 0) {
-                    let price;
+                    // [timestamp, price in A per B, volume in B, volume in A, account ids] whichever side is sold
+                    const accounts = fields['account_history.account.keyword'] || [];
                     if (opResult.amount_to_sell.asset_id === assetA) {
-                        price = paidAmount / receivedAmount;
+                        trades.push([timestamp, paidAmount / receivedAmount, receivedAmount, paidAmount, accounts]);
                     } else {
-                        price = receivedAmount / paidAmount;
+                        trades.push([timestamp, receivedAmount / paidAmount, paidAmount, receivedAmount, accounts]);
                     }
-                    trades.push([timestamp, price, receivedAmount / recvPrec]);
                 }
             }
         } catch (error) {
@@ -101,6 +108,309 @@ function parseAssetPairTrades(hits, assetA) {
     return trades;
 }
 
+// Query builder for executed trades (fill_order virtual operations)
+function buildFillOrderQuery(assetA, assetB, startMs, stopMs, lastSortValue) {
+    const query = {
+        "track_total_hits": true,
+        "sort": [{ "block_data.block_time": { "order": "desc" } }],
+        "fields": [
+            { "field": "operation_history.op" },
+            { "field": "account_history.account.keyword" },
+            { "field": "account_history.operation_id" },
+            { "field": "block_data.block_num" }
+        ],
+        "size": 10000,
+        "_source": false,
+        "query": {
+            "bool": {
+                "filter": [{
+                    "bool": {
+                        "should": [{
+                            "bool": {
+                                "must": [
+                                    { "term": { "operation_history.op_object.pays.asset_id.keyword": assetA } },
+                                    { "term": { "operation_history.op_object.receives.asset_id.keyword": assetB } }
+                                ]
+                            }
+                        }, {
+                            "bool": {
+                                "must": [
+                                    { "term": { "operation_history.op_object.pays.asset_id.keyword": assetB } },
+                                    { "term": { "operation_history.op_object.receives.asset_id.keyword": assetA } }
+                                ]
+                            }
+                        }],
+                        "minimum_should_match": 1
+                    }
+                }, {
+                    "bool": {
+                        "should": [{ "match": { "operation_type": "4" } }],
+                        "minimum_should_match": 1
+                    }
+                }, {
+                    "range": {
+                        "block_data.block_time": {
+                            "format": "strict_date_optional_time",
+                            "gte": toIsoDate(startMs),
+                            "lte": toIsoDate(stopMs)
+                        }
+                    }
+                }]
+            }
+        }
+    };
+
+    if (lastSortValue) {
+        query["search_after"] = lastSortValue;
+    }
+
+    return query;
+}
+
+async function getFillOrders(assetA, assetB, startMs, stopMs) {
+    const pair = [assetA, assetB].sort().join(':');
+    return queryWithHitCache(
+        `fills:${pair}`,
+        (start, stop, lastSort) => buildFillOrderQuery(assetA, assetB, start, stop, lastSort),
+        startMs, stopMs
+    );
+}
+
+// First half of fill parsing: hits -> fill records, safe to run on chunks of hits
+function parseFillOrders(hits) {
+    const fills = [];
+    for (const hit of hits) {
+        try {
+            const fields = hit.fields;
+            if (!fields['operation_history.op']) continue;
+
+            const op = JSON.parse(
+                fields['operation_history.op'][0].replace(/\\\//g, '/')
+            )[1];
+
+            if (op.pays && op.receives) {
+                fills.push({
+                    timestamp: new Date(hit.sort[0]).getTime(),
+                    blockNum: fields['block_data.block_num'] ? fields['block_data.block_num'][0] : null,
+                    pays: op.pays,
+                    receives: op.receives,
+                    isMaker: op.is_maker,
+                    account: fields['account_history.account.keyword'] ? fields['account_history.account.keyword'][0] : null
+                });
+            }
+        } catch (error) {
+            console.warn('Error parsing fill:', error);
+        }
+    }
+    return fills;
+}
+
+// Second half: every match emits one fill per side, pair them so each trade is counted once.
+// The two sides of a match are in the same block with mirrored pays/receives.
+function fillsToTrades(fills, assetA) {
+    const sideKey = (blockNum, pays, receives) =>
+        `${blockNum}|${pays.asset_id}:${pays.amount}|${receives.asset_id}:${receives.amount}`;
+
+    const pending = new Map(); // sideKey -> fills waiting for their counterpart
+    const matched = [];
+
+    for (const fill of fills) {
+        const counterKey = sideKey(fill.blockNum, fill.receives, fill.pays);
+        const waiting = pending.get(counterKey);
+
+        if (waiting && waiting.length) {
+            const other = waiting.pop();
+            // Report the taker side when the chain tells us which one it is, with both accounts
+            const reported = other.isMaker === false ? other : fill;
+            matched.push({ ...reported, accounts: [fill.account, other.account].filter(Boolean) });
+        } else {
+            const key = sideKey(fill.blockNum, fill.pays, fill.receives);
+            if (!pending.has(key)) pending.set(key, []);
+            pending.get(key).push(fill);
+        }
+    }
+
+    // Fills whose counterpart is outside the loaded range still are real trades
+    for (const waiting of pending.values()) {
+        matched.push(...waiting);
+    }
+
+    const trades = [];
+    for (const fill of matched) {
+        const paidPrec = 10 ** objectCache[fill.pays.asset_id]["precision"];
+        const recvPrec = 10 ** objectCache[fill.receives.asset_id]["precision"];
+        const paidAmount = parseFloat(fill.pays.amount) / paidPrec;
+        const receivedAmount = parseFloat(fill.receives.amount) / recvPrec;
+        if (paidAmount > 0 && receivedAmount > 0) {
+            // Price in assetA per asset B, volumes in asset B and asset A whichever side is reported
+            const accounts = fill.accounts || (fill.account ? [fill.account] : []);
+            if (fill.pays.asset_id === assetA) {
+                trades.push([fill.timestamp, paidAmount / receivedAmount, receivedAmount, paidAmount, accounts]);
+            } else {
+                trades.push([fill.timestamp, receivedAmount / paidAmount, paidAmount, receivedAmount, accounts]);
+            }
+        }
+    }
+    return trades;
+}
+
+function parseFillTrades(hits, assetA) {
+    return fillsToTrades(parseFillOrders(hits), assetA);
+}
+
+// Where the aggregation path finds the order amounts (see aggregations.js)
+const BOOK_AGGREGATION_SPEC = {
+    field: 'operation_history.op.keyword',
+    paidKey: 'amount_to_sell',
+    receivedKey: 'min_to_receive'
+};
+
+// Candles for an asset pair: one aggregation request for long timeframes, raw orders otherwise.
+// source 'fills' builds candles from executed trades instead of order offers.
+// With an account only that account's orders / fills are used, which needs the raw hits.
+// options: gap policy and seed, see DEFAULT_CANDLE_OPTIONS
+async function getAssetPairCandles(assetA, assetB, startMs, stopMs, timeframeSeconds, source = 'offers', account = null, filter = null, options = DEFAULT_CANDLE_OPTIONS) {
+    let candles = null;
+
+    // Filtering works on single trades, so it needs the raw hits too.
+    // Pairing maker and taker fills needs every hit, so fills always use the raw path
+    if (source !== 'fills' && timeframeSeconds >= AGGREGATION_MIN_TIMEFRAME && !account && !filter) {
+        candles = await queryAggregatedCandles(
+            buildAssetPairQuery(assetA, assetB, startMs, stopMs, null),
+            { ...BOOK_AGGREGATION_SPEC, assetA, assets: [assetA, assetB] },
+            timeframeSeconds,
+            options.gaps
+        );
+    }
+
+    if (!candles) {
+        let hits = source === 'fills'
+            ? await getFillOrders(assetA, assetB, startMs, stopMs)
+            : await getAssetPairSwaps(assetA, assetB, startMs, stopMs);
+        if (account) hits = filterHitsByAccount(hits, account);
+        let dropped;
+        ({ candles, dropped } = await processHits(source === 'fills' ? 'fill' : 'book', hits, assetA, timeframeSeconds, [assetA, assetB], filter, options.gaps));
+        if (dropped) recordDroppedTrades(dropped);
+    }
+
+    if (!options.seed) return candles;
+    return seedCandles(candles, await findPairSeedPrice(assetA, assetB, startMs, source), startMs, timeframeSeconds, options.gaps);
+}
+
+// Price of the pair's last order (or fill) before startMs (by any account), null when there is none
+async function findPairSeedPrice(assetA, assetB, startMs, source) {
+    if (source === 'fills') {
+        // Both halves of the last match, and a few more in case the newest hit is a lone half
+        const hits = await queryLatestHits(buildFillOrderQuery(assetA, assetB, 0, startMs - 1, null), 10);
+        const trades = parseFillTrades(hits, assetA).sort((a, b) => b[0] - a[0]);
+        return trades.length ? trades[0][1] : null;
+    }
+
+    const hits = await queryLatestHits(buildAssetPairQuery(assetA, assetB, 0, startMs - 1, null), 1);
+    const trades = parseAssetPairTrades(hits, assetA);
+    return trades.length ? trades[0][1] : null;
+}
+
+// First order of a pair, for the "all history" range
+async function findPairHistoryStart(assetA, assetB) {
+    return queryEarliestHitTime(buildAssetPairQuery(assetA, assetB, 0, new Date().getTime(), null));
+}
+
+// Live mode hook: orders in a block for the pair currently on the chart
+function liveTradesFromBlock(block, blockNum) {
+    // fill_order is a virtual operation and never appears in blocks
+    if (bookSource === 'fills') return [];
+
+    const pair = [assetA, assetB];
+    const hits = blockOperationHits(block, blockNum, 1, op =>
+        pair.includes(op.amount_to_sell.asset_id) &&
+        pair.includes(op.min_to_receive.asset_id) &&
+        op.amount_to_sell.asset_id !== op.min_to_receive.asset_id &&
+        (!accountFilter || op.seller === accountFilter)
+    );
+    return filterLiveTrades(parseAssetPairTrades(hits, assetA));
+}
+
+// Invert toggle hook: flip the loaded pair chart without querying it again
+function invertLoadedPair() {
+    if (!chart || !chart.getDataList().length) return;
+    [assetA, assetB] = [assetB, assetA];
+    invertBookOverlay();
+    invertKlineChart();
+}
+
+// Candles of the pair currently on the chart
+async function fetchCandles(startMs, stopMs, timeframeSeconds) {
+    const candles = await getAssetPairCandles(assetA, assetB, startMs, stopMs, timeframeSeconds, bookSource, accountFilter, tradeFilter, candleOptions);
+    await loadVolumeRates(assetA, assetB, startMs, stopMs, timeframeSeconds);
+    return denominateVolume(candles);
+}
+
+// Offers or fills of the pair currently on the chart, for trade exports and Renko / point & figure
+// hits: the offers / fills of the range when updateChart already has them
+async function fetchTrades(startMs, stopMs, timeframeSeconds, hits = null) {
+    if (!hits) {
+        hits = bookSource === 'fills'
+            ? await getFillOrders(assetA, assetB, startMs, stopMs)
+            : await getAssetPairSwaps(assetA, assetB, startMs, stopMs);
+    }
+    if (accountFilter) hits = filterHitsByAccount(hits, accountFilter);
+    const kind = bookSource === 'fills' ? 'fill' : 'book';
+    const { trades } = await processHits(kind, hits, assetA, timeframeSeconds, [assetA, assetB], tradeFilter);
+    return trades;
+}
+
+// Panels over the loaded range, drawn by updateChart and again after Load More moves the start
+// rangeFills / rangeOffers: the fills and offers of the range when updateChart already reads them
+async function updateRangePanels(startMs, stopMs, timeframeSeconds, rangeFills = null, rangeOffers = null) {
+    if (!rangeFills) {
+        let fillHits = null;
+        rangeFills = () => fillHits || (fillHits = getFillOrders(assetA, assetB, startMs, stopMs));
+    }
+    if (!rangeOffers) {
+        let offerHits = null;
+        rangeOffers = () => offerHits || (offerHits = getAssetPairSwaps(assetA, assetB, startMs, stopMs));
+    }
+    const rangeSource = bookSource === 'fills' ? rangeFills : rangeOffers;
+    const candles = loadedCandles();
+
+    if (document.getElementById('book-depth').value === 'on') {
+        setLoading(true, 'Reconstructing order book...', 0);
+        try {
+            await updateBookOverlay(assetA, assetB, candles, startMs, stopMs, timeframeSeconds);
+        } catch (error) {
+            removeBookOverlay();
+            showError('Failed to reconstruct the order book: ' + error.message);
+        }
+    } else {
+        removeBookOverlay();
+    }
+
+    // Offers are not trades, so the account's executed fills are marked in both modes
+    if (accountFilter) {
+        setLoading(true, 'Collecting account trades...', 0);
+        updateAccountOverlay(await rangeFills(), 'fill', assetA, assetB, timeframeSeconds);
+    } else {
+        removeAccountOverlay();
+    }
+
+    if (document.getElementById('leaderboard').value === 'on') {
+        setLoading(true, 'Ranking traders...', 0);
+        await updateLeaderboard(await rangeFills(), 'fill', assetA, assetB, timeframeSeconds);
+    } else {
+        removeLeaderboard();
+    }
+
+    // The tape lists whatever the candles are built from
+    if (document.getElementById('trade-tape').value === 'on') {
+        let hits = await rangeSource();
+        if (accountFilter) hits = filterHitsByAccount(hits, accountFilter);
+        updateTradeTape(hits, bookSource === 'fills' ? 'fill' : 'book', assetA);
+    } else {
+        removeTradeTape();
+    }
+}
+
 async function updateChart() {
     loadingCandles = true;
 
@@ -110,35 +420,86 @@ async function updateChart() {
     assetA = document.getElementById('asset-a').value.trim();
     assetB = document.getElementById('asset-b').value.trim();
 
-    let objects = await rpc.getObjectsByName([assetA, assetB])
-
-    try {
-        assetA = objects[assetA]["id"]
-    } catch {
-        showError('Invalid asset A.');
-        return;
-    }
     try {
-        assetB = objects[assetB]["id"]
-    } catch {
-        showError('Invalid asset B.');
-        return;
+        let objects = await rpc.getObjectsByName([assetA, assetB])
+
+        try {
+            assetA = objects[assetA]["id"]
+        } catch {
+            showError('Invalid asset A.');
+            return;
+        }
+        try {
+            assetB = objects[assetB]["id"]
+        } catch {
+            showError('Invalid asset B.');
+            return;
+        }
+        if (pairInverted()) [assetA, assetB] = [assetB, assetA];
+
+        // Shared by A:B and B:A, so the invert toggle keeps the layout
+        loadIndicatorLayout('pair:' + [assetA, assetB].sort().join(':'));
+
+        bookSource = document.getElementById('book-source').value;
+        applyCandleOptions();
+        const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+        if (!(await resolveRange(() => findPairHistoryStart(assetA, assetB))) || !(await applyAccountFilter()) || !(await applyTradeFilter())) {
+            return;
+        }
+
+        const stopMs = getEndTime();
+        // Start on a candle boundary so Load More slices line up with the loaded candles
+        startTime = alignToTimeframe(startTime, timeframeSeconds);
+        syncUrlState();
+
+        updateProgress(0, 'Querying Elasticsearch...');
+
+        // Fills and offers of the range, each read once for every panel that lists or counts them
+        let fillHits = null;
+        let offerHits = null;
+        const rangeFills = () => fillHits || (fillHits = getFillOrders(assetA, assetB, startTime, stopMs));
+        const rangeOffers = () => offerHits || (offerHits = getAssetPairSwaps(assetA, assetB, startTime, stopMs));
+        const rangeSource = bookSource === 'fills' ? rangeFills : rangeOffers;
+
+        const candles = await fetchCandles(startTime, stopMs, timeframeSeconds);
+        resumeLiveFrom(stopMs);
+        await prepareChartType(startTime, stopMs, timeframeSeconds, rangeSource);
+        renderPairChart(candles);
+        labelVolumePane();
+        updateVwapOverlay();
+
+        await updateRangePanels(startTime, stopMs, timeframeSeconds, rangeFills, rangeOffers);
+
+        updateProgress(100, 'Complete!');
+    } catch (error) {
+        console.error('Error updating chart:', error);
+        showError('Failed to load data: ' + error.message);
+    } finally {
+        setLoading(false);
+        document.getElementById('update-btn').disabled = false;
+        loadingCandles = false;
     }
+}
 
+// Export hook: the candles on the chart, or the offers / fills of the loaded range
+async function collectExportData(dataset) {
     const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
-    const now = new Date().getTime();
-
-    updateProgress(0, 'Querying Elasticsearch...');
+    const stopMs = getEndTime();
+    const name = `${objectCache[assetA].symbol}-${objectCache[assetB].symbol}`;
+    const metadata = exportMetadata(assetA, assetB, `order book ${bookSource}`, startTime, stopMs);
+    if (accountFilter) metadata.account = `${accountName} (${accountFilter})`;
+    const pricePlaces = priceDecimals(assetA, assetB);
 
-    const hits = await getAssetPairSwaps(assetA, assetB, startTime, now);
-    const trades = parseAssetPairTrades(hits, assetA);
-    const candles = tradesToCandles(trades, timeframeSeconds);
-    renderChart(candles, assetA, assetB);
+    if (dataset === 'candles') {
+        metadata.volume_asset = objectCache[volumeDenomination.assetId].symbol;
+        metadata.chart_type = describeChartType();
+        const columns = candleExportColumns('', pricePlaces, volumePrecision())
+            .concat({ title: 'vwap', value: candleVwap, decimals: pricePlaces });
+        return { name, metadata, columns, rows: chart.getDataList() };
+    }
 
-    updateProgress(100, 'Complete!');
-    setLoading(false);
-    document.getElementById('update-btn').disabled = false;
-    loadingCandles = false;
+    const trades = await fetchTrades(startTime, stopMs, timeframeSeconds);
+    return { name, metadata, columns: tradeExportColumns(pricePlaces, [assetA, assetB]), rows: tradesToExportRows(trades, assetA, assetB) };
 }
 
 function updateSuggestions(element) {
@@ -30,76 +30,111 @@ function findPoolsForPair(assetAId, assetBId) {
     return matchingPools;
 }
 
-// Synchronize multiple candle arrays to cover the same time range
-function synchronizeMultipleCandles(allCandlesArrays, timeframeSeconds) {
-    if (allCandlesArrays.length === 0 || allCandlesArrays.every(arr => arr.length === 0)) {
-        return allCandlesArrays;
-    }
-    
-    const timeframeMs = timeframeSeconds * 1000;
-    
-    // Find overall time range across all datasets
-    let minTimestamp = Infinity;
-    let maxTimestamp = -Infinity;
-    
-    for (const candles of allCandlesArrays) {
-        if (candles.length > 0) {
-            minTimestamp = Math.min(minTimestamp, candles[0].timestamp);
-            maxTimestamp = Math.max(maxTimestamp, candles[candles.length - 1].timestamp);
-        }
-    }
-    
-    // Pad each array to cover the full range
-    return allCandlesArrays.map(candles => {
-        if (candles.length === 0) {
-            // If no data, create empty candles
-            const emptyCandles = [];
-            for (let t = minTimestamp; t <= maxTimestamp; t += timeframeMs) {
-                emptyCandles.push({
-                    timestamp: t,
-                    open: 0,
-                    high: 0,
-                    low: 0,
-                    close: 0,
-                    volume: 0
-                });
-            }
-            return emptyCandles;
-        }
-        
-        const firstPrice = candles[0].close;
-        const lastPrice = candles[candles.length - 1].close;
-        const result = [];
-        
-        // Pad at the beginning
-        for (let t = minTimestamp; t < candles[0].timestamp; t += timeframeMs) {
-            result.push({
-                timestamp: t,
-                open: firstPrice,
-                high: firstPrice,
-                low: firstPrice,
-                close: firstPrice,
-                volume: 0
-            });
-        }
-        
-        // Add actual candles
-        result.push(...candles);
-        
-        // Pad at the end
-        for (let t = candles[candles.length - 1].timestamp + timeframeMs; t <= maxTimestamp; t += timeframeMs) {
-            result.push({
-                timestamp: t,
-                open: lastPrice,
-                high: lastPrice,
-                low: lastPrice,
-                close: lastPrice,
-                volume: 0
-            });
-        }
-        
-        return result;
+// Unsynchronized candles of the comparison currently on the chart, kept for Load More
+let comparisonData = null;
+
+// Fetch every pool, the synthetic route (if any) and the order book for one time window
+async function fetchComparisonCandles(poolIds, assetA, assetB, startMs, stopMs, timeframeSeconds, route = null) {
+    // Fetch all pool data in parallel
+    const poolDataPromises = poolIds.map(async (poolId, index) => {
+        updateProgress(20 + (index / poolIds.length) * 30, `Querying pool ${poolId}...`);
+
+        // Get asset order for this pool
+        const poolAssetA = objectCache[poolId].asset_a;
+        const candles = await getPoolCandles(poolId, poolAssetA, startMs, stopMs, timeframeSeconds, null, null, candleOptions);
+
+        return { poolId, label: `Pool ${poolId}`, candles, assetA: poolAssetA };
     });
+
+    if (route) {
+        poolDataPromises.push((async () => {
+            updateProgress(50, `Querying ${route.label}...`);
+            const candles = await getSyntheticCandles(route, startMs, stopMs, timeframeSeconds, candleOptions);
+            // Legs multiply to the first asset of the route per its last asset
+            return { poolId: null, label: route.label, candles, assetA: route.legs[0].from };
+        })());
+    }
+
+    // Fetch orderbook data
+    updateProgress(60, 'Querying orderbook data...');
+    const bookCandlesPromise = getAssetPairCandles(assetA, assetB, startMs, stopMs, timeframeSeconds, 'offers', null, null, candleOptions);
+
+    // Wait for all data
+    const [poolResults, bookCandles] = await Promise.all([
+        Promise.all(poolDataPromises),
+        bookCandlesPromise
+    ]);
+
+    return { poolResults, bookCandles };
+}
+
+// Utility: A pool / route result quoted in quoteAsset, inverted when it is quoted the other way round
+function orientPoolResult(result, quoteAsset) {
+    if (result.assetA === quoteAsset) return result;
+    return { ...result, assetA: quoteAsset, candles: result.candles.map(invertCandle) };
+}
+
+// Invert toggle hook: flip the order book and route series without querying them again.
+// Pools keep their own orientation like on a fresh load, the spreads already account for it.
+function invertLoadedPair() {
+    if (!comparisonData) return;
+
+    const { assetA, assetB, assetASymbol, assetBSymbol } = comparisonData;
+    comparisonData = {
+        ...comparisonData,
+        assetA: assetB,
+        assetB: assetA,
+        assetASymbol: assetBSymbol,
+        assetBSymbol: assetASymbol,
+        poolResults: comparisonData.poolResults.map(r => r.poolId ? r : orientPoolResult(r, assetB)),
+        bookCandles: comparisonData.bookCandles.map(invertCandle)
+    };
+    renderComparisonData();
+}
+
+// Synchronize the stored comparison candles to one time range
+function synchronizeComparisonData(timeframeSeconds) {
+    const { poolResults, bookCandles } = comparisonData;
+
+    // Extract all candle arrays
+    const allCandleArrays = poolResults.map(r => r.candles);
+    allCandleArrays.push(bookCandles);
+
+    // Synchronize all to same range
+    const synchronized = synchronizeMultipleCandles(allCandleArrays, timeframeSeconds, candleOptions.gaps);
+
+    // Separate back out
+    const syncedPoolResults = poolResults.map((r, i) => ({
+        ...r,
+        candles: synchronized[i]
+    }));
+    const syncedBookCandles = synchronized[synchronized.length - 1];
+
+    return { syncedPoolResults, syncedBookCandles };
+}
+
+// Synchronize the stored comparison candles and draw them
+function renderComparisonData() {
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const { syncedPoolResults, syncedBookCandles } = synchronizeComparisonData(timeframeSeconds);
+
+    const spreadAnalysis = buildSpreadAnalysis(
+        syncedPoolResults,
+        syncedBookCandles,
+        comparisonData.assetA,
+        comparisonData.poolColors,
+        timeframeSeconds,
+        getSpreadThreshold()
+    );
+
+    renderComparisonChart(
+        syncedPoolResults,
+        syncedBookCandles,
+        comparisonData.assetASymbol,
+        comparisonData.assetBSymbol,
+        comparisonData.poolColors,
+        spreadAnalysis
+    );
 }
 
 // Comparison chart using existing pool and book functions
@@ -133,83 +168,64 @@ async function updateChart() {
             showError(`Invalid asset: ${assetBInput}`);
             return;
         }
+        if (pairInverted()) [assetA, assetB] = [assetB, assetA];
 
         const assetASymbol = objectCache[assetA].symbol;
         const assetBSymbol = objectCache[assetB].symbol;
 
         updateProgress(10, 'Finding matching pools...');
         const matchingPools = findPoolsForPair(assetA, assetB);
-        
-        if (matchingPools.length === 0) {
-            showError(`No pools found for pair ${assetASymbol}:${assetBSymbol}`);
-            return;
+
+        // Without a direct pool, price the pair through intermediate pools instead
+        let route = null;
+        if (matchingPools.length === 0 || document.getElementById('route-mode').value === 'always') {
+            route = await findSyntheticRoute(assetA, assetB);
         }
 
-        const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
-        const now = new Date().getTime();
-
-        updateProgress(15, `Found ${matchingPools.length} pool(s). Querying data...`);
-
-        // Fetch all pool data in parallel
-        const poolDataPromises = matchingPools.map(async (poolId, index) => {
-            const progressStart = 20 + (index / matchingPools.length) * 30;
-            const progressEnd = 20 + ((index + 1) / matchingPools.length) * 30;
-            
-            updateProgress(progressStart, `Querying pool ${poolId}...`);
-            const hits = await getPoolSwaps(poolId, startTime, now);
-            
-            // Get asset order for this pool
-            const poolInfo = objectCache[poolId];
-            const poolAssetA = poolInfo.asset_a;
-            
-            updateProgress(progressStart + (progressEnd - progressStart) * 0.5, `Processing pool ${poolId}...`);
-            const trades = parsePoolTrades(hits, poolAssetA);
-            const candles = tradesToCandles(trades, timeframeSeconds);
-            
-            return { poolId, candles, assetA: poolAssetA };
-        });
+        if (matchingPools.length === 0 && !route) {
+            showError(`No pools or pool routes found for pair ${assetASymbol}:${assetBSymbol}`);
+            return;
+        }
 
-        // Fetch orderbook data
-        updateProgress(60, 'Querying orderbook data...');
-        const bookHitsPromise = getAssetPairSwaps(assetA, assetB, startTime, now);
+        // "All history" starts at the oldest pool operation, or the first order without a direct pool
+        const findHistoryStart = async () => {
+            const starts = await Promise.all(matchingPools.length
+                ? matchingPools.map(findPoolHistoryStart)
+                : [findPairHistoryStart(assetA, assetB)]);
+            const known = starts.filter(start => start !== null);
+            return known.length ? Math.min(...known) : null;
+        };
+        applyCandleOptions();
+        if (!(await resolveRange(findHistoryStart))) return;
 
-        // Wait for all data
-        const [poolResults, bookHits] = await Promise.all([
-            Promise.all(poolDataPromises),
-            bookHitsPromise
-        ]);
+        const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+        const stopMs = getEndTime();
+        // Start on a candle boundary so Load More slices line up with the loaded candles
+        startTime = alignToTimeframe(startTime, timeframeSeconds);
+        syncUrlState();
 
-        updateProgress(80, 'Processing orderbook trades...');
-        const bookTrades = parseAssetPairTrades(bookHits, assetA);
-        const bookCandles = tradesToCandles(bookTrades, timeframeSeconds);
+        updateProgress(15, `Found ${matchingPools.length} pool(s)${route ? ' and ' + route.label : ''}. Querying data...`);
 
-        updateProgress(85, 'Synchronizing time ranges...');
-        
-        // Extract all candle arrays
-        const allCandleArrays = poolResults.map(r => r.candles);
-        allCandleArrays.push(bookCandles);
-        
-        // Synchronize all to same range
-        const synchronized = synchronizeMultipleCandles(allCandleArrays, timeframeSeconds);
-        
-        // Separate back out
-        const syncedPoolResults = poolResults.map((r, i) => ({
-            ...r,
-            candles: synchronized[i]
-        }));
-        const syncedBookCandles = synchronized[synchronized.length - 1];
+        const { poolResults, bookCandles } = await fetchComparisonCandles(
+            matchingPools, assetA, assetB, startTime, stopMs, timeframeSeconds, route
+        );
 
-        updateProgress(95, 'Rendering comparison chart...');
-        
-        const poolColors = generateBlueShades(matchingPools.length);
-        
-        renderComparisonChart(
-            syncedPoolResults,
-            syncedBookCandles,
+        comparisonData = {
+            poolResults,
+            bookCandles,
+            assetA,
+            assetB,
             assetASymbol,
             assetBSymbol,
-            poolColors
-        );
+            poolIds: matchingPools,
+            route,
+            poolColors: route
+                ? generateBlueShades(matchingPools.length).concat(SYNTHETIC_COLOR)
+                : generateBlueShades(matchingPools.length)
+        };
+
+        updateProgress(95, 'Rendering comparison chart...');
+        renderComparisonData();
 
         updateProgress(100, 'Complete!');
     } catch (error) {
@@ -222,7 +238,7 @@ async function updateChart() {
     }
 }
 
-function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSymbol, poolColors) {
+function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSymbol, poolColors, spreadAnalysis) {
     const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
     const timeframeLabel = {
         60: '1 minute',
@@ -241,24 +257,24 @@ function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSym
     
     // Add pool traces with varying blue shades
     poolResults.forEach((result, index) => {
-        const timestamps = result.candles.map(c => new Date(c.timestamp));
+        const timestamps = result.candles.map(c => formatZonedTime(c.timestamp));
         const prices = result.candles.map(c => c.close);
         
         traces.push({
             x: timestamps,
             y: prices,
             mode: 'lines',
-            name: `Pool ${result.poolId}`,
+            name: result.label,
             line: {
                 color: poolColors[index],
                 width: 2
             },
-            hovertemplate: '%{x}<br>Pool ' + result.poolId + ': %{y:.8f}<extra></extra>'
+            hovertemplate: '%{x}<br>' + result.label + ': %{y:.8f}<extra></extra>'
         });
     });
 
     // Add orderbook trace in magenta
-    const bookTimestamps = bookCandles.map(c => new Date(c.timestamp));
+    const bookTimestamps = bookCandles.map(c => formatZonedTime(c.timestamp));
     const bookPrices = bookCandles.map(c => c.close);
     
     traces.push({
@@ -273,6 +289,9 @@ function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSym
         hovertemplate: '%{x}<br>Order Book: %{y:.8f}<extra></extra>'
     });
 
+    // Spread series go in the lower subplot
+    traces.push(...spreadAnalysis.traces);
+
     const layout = {
         title: {
             text: `${assetASymbol}:${assetBSymbol} - All Pools vs Orderbook`,
@@ -282,18 +301,29 @@ function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSym
             }
         },
         xaxis: {
-            title: 'Date',
+            title: `Date (${candleTimeZone})`,
             color: '#cccccc',
             gridcolor: '#333333',
-            zerolinecolor: '#333333'
+            zerolinecolor: '#333333',
+            anchor: 'y2'
         },
         yaxis: {
             title: 'Price',
             color: '#cccccc',
             gridcolor: '#333333',
             zerolinecolor: '#333333',
-            tickformat: '.8f'
+            tickformat: '.8f',
+            domain: [0.35, 1]
         },
+        yaxis2: {
+            title: 'Spread %',
+            color: '#cccccc',
+            gridcolor: '#333333',
+            zerolinecolor: '#666666',
+            ticksuffix: '%',
+            domain: [0, 0.28]
+        },
+        shapes: spreadAnalysis.shapes,
         paper_bgcolor: '#1a1a1a',
         plot_bgcolor: '#1a1a1a',
         font: {
@@ -308,6 +338,8 @@ function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSym
             y: -0.2
         },
         hovermode: 'x unified',
+        // Keeps the user's zoom when Load More redraws the same pair and timeframe
+        uirevision: `${assetASymbol}:${assetBSymbol}:${timeframeSeconds}`,
         showlegend: true,
         margin: { b: 100 }
     };
@@ -318,7 +350,7 @@ function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSym
         modeBarButtonsToRemove: ['lasso2d', 'select2d']
     };
 
-    Plotly.newPlot('plotly-chart', traces, layout, config);
+    Plotly.react('plotly-chart', traces, layout, config);
 
     // Build custom legend
     const legendContainer = document.getElementById('pool-legend');
@@ -330,7 +362,7 @@ function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSym
         item.className = 'legend-item';
         item.innerHTML = `
             <div class="legend-color" style="background: ${poolColors[index]}"></div>
-            <span>Pool ${result.poolId}</span>
+            <span>${result.label}</span>
         `;
         legendContainer.appendChild(item);
     });
@@ -347,21 +379,69 @@ function renderComparisonChart(poolResults, bookCandles, assetASymbol, assetBSym
     // Update info text
     let infoText = `<strong>${assetASymbol}:${assetBSymbol}</strong> | ${timeframeLabel} timeframe<br>`;
     
-    poolResults.forEach(result => {
-        const priceRange = result.candles.length > 0 
-            ? `${Math.min(...result.candles.map(c => c.low)).toFixed(8)} - ${Math.max(...result.candles.map(c => c.high)).toFixed(8)}`
+    // Candles left empty by the 'gaps' policy have no prices
+    const priceRangeOf = (candles) => {
+        const priced = candles.filter(c => c.close !== null);
+        return priced.length > 0
+            ? `${Math.min(...priced.map(c => c.low)).toFixed(8)} - ${Math.max(...priced.map(c => c.high)).toFixed(8)}`
             : 'N/A';
-        infoText += `Pool ${result.poolId}: ${result.candles.length} candles | Range: ${priceRange}<br>`;
+    };
+
+    poolResults.forEach(result => {
+        const priceRange = priceRangeOf(result.candles);
+        infoText += `${result.label}: ${result.candles.length} candles | Range: ${priceRange}<br>`;
     });
     
-    const bookPriceRange = bookCandles.length > 0
-        ? `${Math.min(...bookCandles.map(c => c.low)).toFixed(8)} - ${Math.max(...bookCandles.map(c => c.high)).toFixed(8)}`
-        : 'N/A';
-    infoText += `Order Book: ${bookCandles.length} candles | Range: ${bookPriceRange}`;
+    const bookPriceRange = priceRangeOf(bookCandles);
+    infoText += `Order Book: ${bookCandles.length} candles | Range: ${bookPriceRange}<br>`;
+    infoText += spreadAnalysis.summaryHtml;
 
     document.getElementById('chart-info').innerHTML = infoText;
 }
 
+// Export hook: the synchronized candles of every series side by side, or the trades of each series
+async function collectExportData(dataset) {
+    if (!comparisonData) return { rows: [] };
+
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const stopMs = getEndTime();
+    const { assetA, assetB, assetASymbol, assetBSymbol } = comparisonData;
+    const name = `${assetASymbol}-${assetBSymbol}-comparison`;
+    const metadata = exportMetadata(assetA, assetB, 'all pools vs order book', startTime, stopMs);
+    // Pools are charted in their own asset order
+    metadata.series = comparisonData.poolResults.map(r => ({
+        label: r.label,
+        price: `${objectCache[r.assetA].symbol} per ${objectCache[r.assetA === assetA ? assetB : assetA].symbol}`
+    })).concat({ label: 'Order Book', price: metadata.price });
+
+    const pricePlaces = priceDecimals(assetA, assetB);
+    const volumePlaces = Math.max(objectCache[assetA].precision, objectCache[assetB].precision);
+
+    if (dataset === 'candles') {
+        const { syncedPoolResults, syncedBookCandles } = synchronizeComparisonData(timeframeSeconds);
+        const series = syncedPoolResults.map(r => ({ label: r.label, candles: r.candles }))
+            .concat({ label: 'Order Book', candles: syncedBookCandles });
+        const columns = series.flatMap(s => candleExportColumns(`${s.label} `, pricePlaces, volumePlaces, row => s.candles[row.index]));
+        const rows = syncedBookCandles.map((candle, index) => ({ timestamp: candle.timestamp, index }));
+        return { name, metadata, columns, rows };
+    }
+
+    // Synthetic routes are products of candles and have no trades of their own
+    const rows = [];
+    for (const result of comparisonData.poolResults.filter(r => r.poolId)) {
+        const pool = objectCache[result.poolId];
+        const hits = await getPoolSwaps(result.poolId, startTime, stopMs);
+        const { trades } = await processHits('pool', hits, result.assetA, timeframeSeconds, [pool.asset_a, pool.asset_b]);
+        rows.push(...tradesToExportRows(trades, result.assetA, result.assetA === assetA ? assetB : assetA).map(t => ({ ...t, series: result.label })));
+    }
+    const bookHits = await getAssetPairSwaps(assetA, assetB, startTime, stopMs);
+    const { trades } = await processHits('book', bookHits, assetA, timeframeSeconds, [assetA, assetB]);
+    rows.push(...tradesToExportRows(trades, assetA, assetB).map(t => ({ ...t, series: 'Order Book' })));
+
+    const columns = [{ title: 'series', value: t => t.series }].concat(tradeExportColumns(pricePlaces, [assetA, assetB]));
+    return { name, metadata, columns, rows: rows.sort((a, b) => a.timestamp - b.timestamp) };
+}
+
 function updateSuggestions(element) {
     const suggestions = searchForAsset(element.value);
     const dropdownId = element.id === 'asset-a' ? 'asset-a-suggestions' : 'asset-b-suggestions';
@@ -377,14 +457,61 @@ function setupEventListeners() {
     assetA.addEventListener('keyup', e => update(e, assetA));
     assetB.addEventListener('keyup', e => update(e, assetB));
 
+    // The threshold only changes the highlighting, so redraw without refetching
+    document.getElementById('spread-threshold').addEventListener('change', () => {
+        if (comparisonData && !loadingCandles) renderComparisonData();
+    });
+
     setupClickOutsideHandler(assetA, document.getElementById('asset-a-suggestions'));
     setupClickOutsideHandler(assetB, document.getElementById('asset-b-suggestions'));
 }
 
-function checkVisibleRange() {
-    const timeframe = parseInt(document.getElementById('timeframe').value);
-    startTime -= 50 * 2 * timeframe * 1000;
-    updateChart();
+// Load More: fetch only the window before the loaded range and prepend it, keeping the zoom
+async function checkVisibleRange() {
+    if (loadingCandles || !comparisonData) return;
+
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const oldStart = startTime;
+    const newStart = alignToTimeframe(oldStart - 50 * 2 * timeframeSeconds * 1000, timeframeSeconds);
+
+    loadingCandles = true;
+    document.getElementById('load-more-btn').disabled = true;
+    setLoading(true, 'Fetching older data...', 0);
+
+    try {
+        const older = await fetchComparisonCandles(
+            comparisonData.poolIds,
+            comparisonData.assetA,
+            comparisonData.assetB,
+            newStart, oldStart - 1, timeframeSeconds,
+            comparisonData.route
+        );
+        if (!loadingCandles) return; // cancelled
+
+        const prepend = (olderCandles, candles) => candles.length
+            ? bridgeCandles(olderCandles, candles[0].timestamp, timeframeSeconds, candleOptions.gaps).concat(candles)
+            : olderCandles;
+
+        comparisonData.poolResults = comparisonData.poolResults.map((r, i) => ({
+            ...r,
+            // The route may have been found before the pair was inverted
+            candles: prepend(orientPoolResult(older.poolResults[i], r.assetA).candles, r.candles)
+        }));
+        comparisonData.bookCandles = prepend(older.bookCandles, comparisonData.bookCandles);
+
+        startTime = newStart;
+        setRangeStart(newStart);
+        syncUrlState(true);
+        renderComparisonData();
+        updateProgress(100, 'Complete!');
+    } catch (error) {
+        console.error('Error loading older data:', error);
+        showError('Failed to load older data: ' + error.message);
+    } finally {
+        setLoading(false);
+        document.getElementById('load-more-btn').disabled = false;
+        loadingCandles = false;
+    }
 }
 
 async function startup() {
@@ -396,7 +523,7 @@ async function startup() {
 
     document.getElementById('update-btn').addEventListener('click', updateChart);
     setupEventListeners();
-    updateChart();
+    initUrlState();
 }
 
 startup();
\ No newline at end of file
@@ -0,0 +1,227 @@
+/*
+ * Persistent IndexedDB cache of Elasticsearch hits.
+ *
+ * Hits are stored per cache key (e.g. "pool:1.19.58" or "book:1.3.0:1.3.5")
+ * together with the time ranges that have been fully fetched for that key, so
+ * repeated queries only ask Elasticsearch for the missing slices.
+ */
+const HIT_CACHE_DB = 'bitshares-hit-cache';
+const HIT_CACHE_VERSION = 2; // Bump when a query starts requesting new fields
+const HIT_CACHE_MAX_HITS = 500000; // Total hits kept across all keys before eviction
+const HIT_CACHE_SETTLE_MS = 10 * 60 * 1000; // Recent data may still be indexing, never mark it as cached
+
+let hitCacheDb = null;
+
+// Utility: Wrap an IDBRequest in a Promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Utility: Resolve when a transaction has committed
+function idbTransactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Open (and create if needed) the cache database, resolves to null when IndexedDB is unavailable
+async function openHitCache() {
+    if (hitCacheDb) return hitCacheDb;
+    if (typeof indexedDB === 'undefined') return null;
+
+    try {
+        const request = indexedDB.open(HIT_CACHE_DB, HIT_CACHE_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            // Hits cached by an older version may lack fields the parsers now need, start over
+            for (const name of Array.from(db.objectStoreNames)) {
+                db.deleteObjectStore(name);
+            }
+            // One record per hit, primary key [cacheKey, hitId]
+            const hits = db.createObjectStore('hits', { keyPath: ['key', 'id'] });
+            hits.createIndex('time', ['key', 'time']);
+            // One record per cache key: { key, ranges, count, lastAccess }
+            db.createObjectStore('meta', { keyPath: 'key' });
+        };
+        hitCacheDb = await idbRequest(request);
+    } catch (error) {
+        console.warn('Hit cache unavailable:', error);
+        hitCacheDb = null;
+    }
+    return hitCacheDb;
+}
+
+// Merge overlapping or touching [start, stop] ranges
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [start, stop] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1] + 1) {
+            last[1] = Math.max(last[1], stop);
+        } else {
+            merged.push([start, stop]);
+        }
+    }
+    return merged;
+}
+
+// Return the parts of [startMs, stopMs] not covered by the cached ranges
+function missingRanges(ranges, startMs, stopMs) {
+    const missing = [];
+    let cursor = startMs;
+    for (const [start, stop] of mergeRanges(ranges)) {
+        if (stop < cursor) continue;
+        if (start > stopMs) break;
+        if (start > cursor) {
+            missing.push([cursor, start - 1]);
+        }
+        cursor = Math.max(cursor, stop + 1);
+    }
+    if (cursor <= stopMs) {
+        missing.push([cursor, stopMs]);
+    }
+    return missing;
+}
+
+// Read the cached hits for a key between two timestamps, newest first like Elasticsearch returns them
+async function readCachedHits(db, key, startMs, stopMs) {
+    const index = db.transaction('hits', 'readonly').objectStore('hits').index('time');
+    const records = await idbRequest(index.getAll(IDBKeyRange.bound([key, startMs], [key, stopMs])));
+    return records.map(record => record.hit).reverse();
+}
+
+// Store freshly fetched hits and record the range they fully cover
+async function writeCachedHits(db, key, hits, coveredRange) {
+    const transaction = db.transaction(['hits', 'meta'], 'readwrite');
+    const hitStore = transaction.objectStore('hits');
+    const metaStore = transaction.objectStore('meta');
+
+    for (const hit of hits) {
+        hitStore.put({
+            key,
+            id: `${hit._index}/${hit._id}`,
+            time: hit.sort[0],
+            hit: { _id: hit._id, _index: hit._index, fields: hit.fields, sort: hit.sort }
+        });
+    }
+
+    const meta = await idbRequest(metaStore.get(key)) || { key, ranges: [], count: 0 };
+    if (coveredRange) {
+        meta.ranges = mergeRanges([...meta.ranges, coveredRange]);
+    }
+    meta.count = await idbRequest(hitStore.index('time').count(IDBKeyRange.bound([key, -Infinity], [key, Infinity])));
+    meta.lastAccess = Date.now();
+    metaStore.put(meta);
+
+    await idbTransactionDone(transaction);
+}
+
+// Drop least recently used keys until the cache is under HIT_CACHE_MAX_HITS, never evicting keepKey
+async function evictHitCache(db, keepKey) {
+    const metas = await idbRequest(db.transaction('meta', 'readonly').objectStore('meta').getAll());
+    let total = metas.reduce((sum, meta) => sum + meta.count, 0);
+
+    const candidates = metas
+        .filter(meta => meta.key !== keepKey)
+        .sort((a, b) => a.lastAccess - b.lastAccess);
+
+    for (const meta of candidates) {
+        if (total <= HIT_CACHE_MAX_HITS) break;
+        await deleteCacheKey(db, meta.key);
+        total -= meta.count;
+    }
+    // Only keepKey is left, a single pool / pair holds more than the whole cache should
+    if (total > HIT_CACHE_MAX_HITS) {
+        console.warn(`Hit cache holds ${total} hits for ${keepKey}, above the ${HIT_CACHE_MAX_HITS} limit`);
+    }
+}
+
+// Remove every hit and the range bookkeeping for one key
+async function deleteCacheKey(db, key) {
+    const transaction = db.transaction(['hits', 'meta'], 'readwrite');
+    // Arrays sort after strings, so [key, []] is an upper bound for every [key, id]
+    transaction.objectStore('hits').delete(IDBKeyRange.bound([key], [key, []]));
+    transaction.objectStore('meta').delete(key);
+    await idbTransactionDone(transaction);
+}
+
+// Empty the whole cache, returns the number of hits removed
+async function clearHitCache() {
+    const db = await openHitCache();
+    if (!db) return 0;
+
+    const transaction = db.transaction(['hits', 'meta'], 'readwrite');
+    const removed = await idbRequest(transaction.objectStore('hits').count());
+    transaction.objectStore('hits').clear();
+    transaction.objectStore('meta').clear();
+    await idbTransactionDone(transaction);
+    return removed;
+}
+
+// Utility: Error for a query that has more hits than queryElasticsearchWithPagination returns
+function hitLimitError(key) {
+    return new Error(`more than ${ES_MAX_RESULTS} hits for ${key}, the result would be incomplete`);
+}
+
+/**
+ * Query Elasticsearch through the hit cache
+ * @param {string} key - Cache key identifying the pool / asset pair
+ * @param {function(number, number, Array): Object} queryBuilder - (startMs, stopMs, lastSortValue) => ES query
+ * @param {number} startMs
+ * @param {number} stopMs
+ * @param {boolean} [requireComplete] - throw instead of returning a range cut off at ES_MAX_RESULTS
+ * @returns {Promise<Object[]>} hits for the whole range, newest first
+ */
+async function queryWithHitCache(key, queryBuilder, startMs, stopMs, requireComplete = false) {
+    const db = await openHitCache();
+    if (!db) {
+        const hits = await queryElasticsearchWithPagination(
+            (lastSort) => queryBuilder(startMs, stopMs, lastSort),
+            startMs, stopMs
+        );
+        if (requireComplete && hits.length >= ES_MAX_RESULTS) throw hitLimitError(key);
+        return hits;
+    }
+
+    const meta = await idbRequest(db.transaction('meta', 'readonly').objectStore('meta').get(key));
+    const gaps = missingRanges(meta ? meta.ranges : [], startMs, stopMs);
+    const settledUntil = Date.now() - HIT_CACHE_SETTLE_MS;
+
+    for (const [gapStart, gapStop] of gaps) {
+        const hits = await queryElasticsearchWithPagination(
+            (lastSort) => queryBuilder(gapStart, gapStop, lastSort),
+            gapStart, gapStop
+        );
+
+        // A cancelled or truncated load returns a partial slice, store the hits but do not mark the range as covered
+        const complete = loadingCandles && hits.length < ES_MAX_RESULTS;
+        const coveredStop = Math.min(gapStop, settledUntil);
+        const coveredRange = complete && coveredStop >= gapStart ? [gapStart, coveredStop] : null;
+
+        try {
+            await writeCachedHits(db, key, hits, coveredRange);
+        } catch (error) {
+            console.warn('Failed to write hit cache:', error);
+        }
+        if (requireComplete && hits.length >= ES_MAX_RESULTS) throw hitLimitError(key);
+    }
+
+    try {
+        if (!gaps.length) {
+            // Nothing fetched, just refresh lastAccess so the key is not evicted first
+            await writeCachedHits(db, key, [], null);
+        }
+        await evictHitCache(db, key);
+    } catch (error) {
+        console.warn('Failed to evict hit cache:', error);
+    }
+
+    updateProgress(100, gaps.length ? 'Merging cached data...' : 'Loaded from cache');
+    return readCachedHits(db, key, startMs, stopMs);
+}
@@ -0,0 +1,533 @@
+/*
+ * Candle building shared by the pages and the trade worker (no DOM access in this file)
+ */
+
+const DAY_SECONDS = 86400;
+const WEEK_SECONDS = 604800;
+const MONTH_SECONDS = 2592000; // the "1 month" timeframe, bucketed by calendar month
+
+// Days, ISO weeks and calendar months start at midnight in this zone, see setCandleTimeZone.
+// Intraday candles stay on fixed steps from the epoch whatever the zone.
+let candleTimeZone = 'UTC';
+let zoneFormatter = null; // Intl.DateTimeFormat of candleTimeZone, null for UTC
+
+// Set the IANA time zone of calendar candles, unknown zones fall back to UTC; returns the zone in use
+function setCandleTimeZone(timeZone) {
+    try {
+        zoneFormatter = timeZone && timeZone !== 'UTC'
+            ? new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            })
+            : null;
+    } catch (error) {
+        zoneFormatter = null;
+    }
+    candleTimeZone = zoneFormatter ? timeZone : 'UTC';
+    return candleTimeZone;
+}
+
+function isCalendarTimeframe(timeframeSeconds) {
+    return timeframeSeconds === DAY_SECONDS || timeframeSeconds === WEEK_SECONDS || timeframeSeconds === MONTH_SECONDS;
+}
+
+// Utility: Wall clock of a timestamp in the candle time zone, month 1-12
+function zonedParts(ms) {
+    if (!zoneFormatter) {
+        const date = new Date(ms);
+        return {
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes(),
+            second: date.getUTCSeconds()
+        };
+    }
+    const parts = {};
+    for (const { type, value } of zoneFormatter.formatToParts(new Date(ms))) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+}
+
+// Utility: Offset of the candle time zone from UTC at a timestamp, in ms
+function zoneOffset(ms) {
+    if (!zoneFormatter) return 0;
+    const p = zonedParts(ms);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (ms - ms % 1000);
+}
+
+// Utility: Timestamp of midnight on a day in the candle time zone (day / month may overflow, as in Date.UTC)
+function zonedMidnight(year, month, day) {
+    const wall = Date.UTC(year, month - 1, day);
+    // The offset at the wall time read as UTC is off by the DST change when one falls in between,
+    // the second pass uses the offset at the first estimate
+    return wall - zoneOffset(wall - zoneOffset(wall));
+}
+
+// Utility: Start of the candle period a timestamp is in
+// Days start at midnight, weeks on Monday (ISO) and months on the 1st, in candleTimeZone.
+function alignToTimeframe(ms, timeframeSeconds) {
+    if (isCalendarTimeframe(timeframeSeconds)) {
+        const { year, month, day } = zonedParts(ms);
+        if (timeframeSeconds === MONTH_SECONDS) return zonedMidnight(year, month, 1);
+        if (timeframeSeconds === WEEK_SECONDS) {
+            const weekday = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7; // Monday = 0
+            return zonedMidnight(year, month, day - weekday);
+        }
+        return zonedMidnight(year, month, day);
+    }
+    const timeframeMs = timeframeSeconds * 1000;
+    return Math.floor(ms / timeframeMs) * timeframeMs;
+}
+
+// Utility: Start of the period after the one starting at an aligned timestamp
+// Calendar periods are not all the same length (months, DST days).
+function nextCandleTime(timestamp, timeframeSeconds) {
+    if (!isCalendarTimeframe(timeframeSeconds)) return timestamp + timeframeSeconds * 1000;
+    const { year, month, day } = zonedParts(timestamp);
+    if (timeframeSeconds === MONTH_SECONDS) return zonedMidnight(year, month + 1, 1);
+    return zonedMidnight(year, month, day + (timeframeSeconds === WEEK_SECONDS ? 7 : 1));
+}
+
+// Utility: "YYYY-MM-DD HH:MM:SS" wall clock in the candle time zone, for Plotly's date axis
+function formatZonedTime(ms) {
+    const p = zonedParts(ms);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+// Convert discrete trades to OHLC candles - FIXED DATA FORMAT
+// Trades are [timestamp, price, volume in asset B, volume in asset A, account ids]; candle volume is in asset B
+// until volume.js denominates it, volumeA / volumeB keep both sides for that and for VWAP
+// gaps is the fillCandleGaps policy for periods without trades
+function tradesToCandles(trades, timeframeSeconds, gaps = 'carry') {
+    if (!trades || trades.length === 0) return [];
+
+    // Sort trades by timestamp to ensure chronological processing
+    const sortedTrades = [...trades].sort((a, b) => a[0] - b[0]);
+
+    // First pass: create candles only for periods with trades (original logic)
+    const candleMap = new Map();
+    // Trades are sorted, so the period is only aligned again once a trade is past its end
+    let candleTime = null;
+    let candleEnd = -Infinity;
+
+    for (const [timestamp, price, volume, volumeA] of sortedTrades) {
+        if (timestamp >= candleEnd) {
+            candleTime = alignToTimeframe(timestamp, timeframeSeconds);
+            candleEnd = nextCandleTime(candleTime, timeframeSeconds);
+        }
+
+        if (!candleMap.has(candleTime)) {
+            candleMap.set(candleTime, {
+                timestamp: candleTime,
+                open: price,
+                high: price,
+                low: price,
+                close: price,
+                volume: volume,
+                volumeA: volumeA,
+                volumeB: volume
+            });
+        } else {
+            const candle = candleMap.get(candleTime);
+            candle.high = Math.max(candle.high, price);
+            candle.low = Math.min(candle.low, price);
+            candle.close = price;
+            candle.volume += volume;
+            candle.volumeA += volumeA;
+            candle.volumeB += volume;
+        }
+    }
+
+    // Convert to array and sort by timestamp
+    const candlesWithTrades = Array.from(candleMap.values()).sort((a, b) => a.timestamp - b.timestamp);
+
+    return fillCandleGaps(candlesWithTrades, timeframeSeconds, gaps);
+}
+
+const DEFAULT_CANDLE_OPTIONS = { gaps: 'carry', seed: false }; // see fillCandleGaps and seedCandles
+
+const OUTLIER_WINDOW = 51;         // trades around each trade its price is compared with
+const OUTLIER_MIN_TRADES = 5;      // smaller windows keep every trade
+const OUTLIER_MIN_SCALE = 0.001;   // log-price floor for the MAD, so flat markets still allow small moves
+
+// Utility: Median of numbers (sorts a copy)
+function medianOf(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Drop trades from ignored accounts, dust and price outliers before tradesToCandles
+ * Outliers are trades whose log price is further than outlierBand scaled MADs from the
+ * median of the OUTLIER_WINDOW trades around them.
+ * @param {Array[]} trades
+ * @param {Object} filter
+ * @param {number} filter.minAmount - smallest trade kept, 0 for no minimum
+ * @param {'a'|'b'} filter.minAmountSide - asset the minimum is in
+ * @param {number} filter.outlierBand - MADs from the rolling median, 0 to keep outliers
+ * @param {string[]} filter.ignoreAccounts - account ids whose trades are dropped
+ * @returns {{trades: Array[], dropped: {accounts: number, dust: number, outliers: number}}}
+ */
+function filterTrades(trades, filter) {
+    const dropped = { accounts: 0, dust: 0, outliers: 0 };
+    const ignored = new Set(filter.ignoreAccounts);
+    const kept = [];
+
+    for (const trade of trades) {
+        const amount = filter.minAmountSide === 'a' ? trade[3] : trade[2];
+        if ((trade[4] || []).some(account => ignored.has(account))) {
+            dropped.accounts++;
+        } else if (amount < filter.minAmount) {
+            dropped.dust++;
+        } else {
+            kept.push(trade);
+        }
+    }
+
+    if (!(filter.outlierBand > 0)) return { trades: kept, dropped };
+
+    kept.sort((a, b) => a[0] - b[0]);
+    const logPrices = kept.map(trade => Math.log(trade[1]));
+    const half = Math.floor(OUTLIER_WINDOW / 2);
+    const result = [];
+
+    for (let i = 0; i < kept.length; i++) {
+        const window = logPrices.slice(Math.max(0, i - half), i + half + 1);
+        if (window.length < OUTLIER_MIN_TRADES) {
+            result.push(kept[i]);
+            continue;
+        }
+        const median = medianOf(window);
+        // 1.4826 scales the MAD to a standard deviation for normally distributed prices
+        const scale = Math.max(1.4826 * medianOf(window.map(value => Math.abs(value - median))), OUTLIER_MIN_SCALE);
+        if (Math.abs(logPrices[i] - median) > filter.outlierBand * scale) {
+            dropped.outliers++;
+        } else {
+            result.push(kept[i]);
+        }
+    }
+
+    return { trades: result, dropped };
+}
+
+// Utility: Candle of a period without trades at the previous close
+function flatCandle(timestamp, price) {
+    return { timestamp, open: price, high: price, low: price, close: price, volume: 0, volumeA: 0, volumeB: 0 };
+}
+
+// Utility: Candle of a period without trades and without a price, drawn as a gap
+function emptyCandle(timestamp) {
+    return { timestamp, open: null, high: null, low: null, close: null, volume: 0, volumeA: 0, volumeB: 0 };
+}
+
+/**
+ * Fill periods without trades between sorted candles (shared with the aggregation path)
+ * @param {Object[]} candlesWithTrades
+ * @param {number} timeframeSeconds
+ * @param {'carry'|'gaps'|'collapse'} [gaps] - flat candles at the last close, candles without a price,
+ *   or no candles for empty periods
+ */
+function fillCandleGaps(candlesWithTrades, timeframeSeconds, gaps = 'carry') {
+    if (candlesWithTrades.length === 0 || gaps === 'collapse') return candlesWithTrades;
+
+    // The range starts at the first candle with trades, so there always is a last close
+    const allCandles = [];
+    let currentTime = candlesWithTrades[0].timestamp;
+    let lastClose = null;
+
+    for (const existingCandle of candlesWithTrades) {
+        for (; currentTime < existingCandle.timestamp; currentTime = nextCandleTime(currentTime, timeframeSeconds)) {
+            allCandles.push(gaps === 'gaps' ? emptyCandle(currentTime) : flatCandle(currentTime, lastClose));
+        }
+        allCandles.push(existingCandle);
+        lastClose = existingCandle.close;
+        currentTime = nextCandleTime(existingCandle.timestamp, timeframeSeconds);
+    }
+
+    return allCandles;
+}
+
+/**
+ * Start the candles at the beginning of the range instead of at its first trade
+ * The periods before the first trade are carried at seedPrice, the price of the last
+ * trade before the range, or left empty with the 'gaps' policy.
+ * @param {Object[]} candles - from tradesToCandles / fillCandleGaps
+ * @param {number|null} seedPrice - null when the market had no earlier trade
+ * @param {number} startMs
+ * @param {number} timeframeSeconds
+ * @param {'carry'|'gaps'|'collapse'} [gaps]
+ */
+function seedCandles(candles, seedPrice, startMs, timeframeSeconds, gaps = 'carry') {
+    if (seedPrice === null || candles.length === 0 || gaps === 'collapse') return candles;
+
+    const leading = [];
+    for (let t = alignToTimeframe(startMs, timeframeSeconds); t < candles[0].timestamp; t = nextCandleTime(t, timeframeSeconds)) {
+        leading.push(gaps === 'gaps' ? emptyCandle(t) : flatCandle(t, seedPrice));
+    }
+    return leading.concat(candles);
+}
+
+/**
+ * Align several candle arrays on the same timestamps
+ * Every period from the first to the last candle of any array is kept, or only the periods
+ * where some array has a candle with the 'collapse' policy. An array without a candle for
+ * a period gets its first / last close there, or an empty candle with the 'gaps' policy.
+ * @param {Object[][]} allCandlesArrays
+ * @param {number} timeframeSeconds
+ * @param {'carry'|'gaps'|'collapse'} [gaps]
+ * @returns {Object[][]} arrays of equal length, index i is the same period in each
+ */
+function synchronizeMultipleCandles(allCandlesArrays, timeframeSeconds, gaps = 'carry') {
+    const present = allCandlesArrays.filter(candles => candles.length > 0);
+    if (present.length === 0) return allCandlesArrays;
+
+    let timestamps;
+    if (gaps === 'collapse') {
+        timestamps = [...new Set(present.flatMap(candles => candles.map(c => c.timestamp)))].sort((a, b) => a - b);
+    } else {
+        const minTimestamp = Math.min(...present.map(candles => candles[0].timestamp));
+        const maxTimestamp = Math.max(...present.map(candles => candles[candles.length - 1].timestamp));
+        timestamps = [];
+        for (let t = minTimestamp; t <= maxTimestamp; t = nextCandleTime(t, timeframeSeconds)) {
+            timestamps.push(t);
+        }
+    }
+
+    return allCandlesArrays.map(candles => {
+        const byTimestamp = new Map(candles.map(c => [c.timestamp, c]));
+        // Before its first candle an array is padded with its first price, then with its last close
+        let price = candles.length ? candles[0].close : null;
+        return timestamps.map(t => {
+            const candle = byTimestamp.get(t);
+            if (candle) {
+                if (candle.close !== null) price = candle.close;
+                return candle;
+            }
+            return gaps === 'gaps' || price === null ? emptyCandle(t) : flatCandle(t, price);
+        });
+    });
+}
+
+// Extend older candles up to (not including) nextTimestamp for the gap policy
+function bridgeCandles(olderCandles, nextTimestamp, timeframeSeconds, gaps = 'carry') {
+    const result = olderCandles.filter(c => c.timestamp < nextTimestamp);
+    if (result.length === 0 || gaps === 'collapse') return result;
+
+    const lastClose = result[result.length - 1].close;
+
+    const last = result[result.length - 1].timestamp;
+    for (let t = nextCandleTime(last, timeframeSeconds); t < nextTimestamp; t = nextCandleTime(t, timeframeSeconds)) {
+        result.push(gaps === 'gaps' ? emptyCandle(t) : flatCandle(t, lastClose));
+    }
+
+    return result;
+}
+
+// Fold a trade into the newest candle, returns the candles to hand to chart.updateData in order
+// (candles for skipped periods under the gap policy first, then the updated or new candle)
+function applyTradeToLastCandle(lastCandle, trade, timeframeSeconds, gaps = 'carry') {
+    const [timestamp, price, volume, volumeA] = trade;
+    const candleTime = alignToTimeframe(timestamp, timeframeSeconds);
+    const newCandle = { timestamp: candleTime, open: price, high: price, low: price, close: price, volume, volumeA, volumeB: volume };
+
+    if (!lastCandle) {
+        return [newCandle];
+    }
+
+    if (candleTime < lastCandle.timestamp) return [];
+
+    // A period left empty by the 'gaps' policy starts over with its first trade
+    if (candleTime === lastCandle.timestamp && lastCandle.close === null) return [newCandle];
+
+    if (candleTime === lastCandle.timestamp) {
+        return [{
+            ...lastCandle,
+            high: Math.max(lastCandle.high, price),
+            low: Math.min(lastCandle.low, price),
+            close: price,
+            volume: lastCandle.volume + volume,
+            volumeA: (lastCandle.volumeA || 0) + volumeA,
+            volumeB: (lastCandle.volumeB || 0) + volume
+        }];
+    }
+
+    const bridged = bridgeCandles([lastCandle], candleTime, timeframeSeconds, gaps).slice(1);
+    bridged.push(newCandle);
+    return bridged;
+}
+
+// Volume weighted average price of a candle (asset A paid per asset B), null without trades
+function candleVwap(candle) {
+    return candle.volumeB > 0 ? candle.volumeA / candle.volumeB : null;
+}
+
+// Heikin-Ashi candles: averaged open / close that smooth the time candles, volume is kept
+// Empty candles stay empty and the averaging starts over after them.
+function heikinAshiCandles(candles) {
+    const result = [];
+    for (const candle of candles) {
+        if (candle.close === null) {
+            result.push(candle);
+            continue;
+        }
+        const previous = result[result.length - 1];
+        const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+        const open = previous && previous.close !== null
+            ? (previous.open + previous.close) / 2
+            : (candle.open + candle.close) / 2;
+        result.push({
+            ...candle,
+            open,
+            high: Math.max(candle.high, open, close),
+            low: Math.min(candle.low, open, close),
+            close
+        });
+    }
+    return result;
+}
+
+// Utility: Trades with a price, oldest first, and the log box size for a box in percent
+function boxedTrades(trades, boxPercent) {
+    return {
+        sorted: trades.filter(trade => trade[1] > 0).sort((a, b) => a[0] - b[0]),
+        step: Math.log(1 + boxPercent / 100)
+    };
+}
+
+/**
+ * Renko bricks from trades, one brick per box of price movement whatever the time it takes
+ * Boxes are percentages (levels first price * (1 + box)^n), a reversal needs two boxes.
+ * The trades since the last brick stay pending until the price completes the next one.
+ * @param {Array[]} trades - [timestamp, price, volume in B, volume in A, ...]
+ * @param {number} boxPercent
+ * @returns {Object[]} candles with start / end (ms) of the trades behind each brick
+ */
+function renkoBricks(trades, boxPercent) {
+    const { sorted, step } = boxedTrades(trades, boxPercent);
+    if (!sorted.length) return [];
+
+    const base = sorted[0][1];
+    const levelPrice = (level) => base * Math.exp(level * step);
+    const bricks = [];
+    let level = 0;     // level the last brick closed at
+    let direction = 0; // 1 after an up brick, -1 after a down brick
+    let pending = null;
+
+    for (const [timestamp, price, volume, volumeA] of sorted) {
+        if (!pending) pending = { start: timestamp, volumeA: 0, volumeB: 0 };
+        pending.volumeA += volumeA;
+        pending.volumeB += volume;
+
+        // Small epsilon so a price exactly on a level counts as reaching it
+        const position = Math.log(price / base) / step + 1e-9;
+        while (true) {
+            let from;
+            if (position >= level + (direction < 0 ? 2 : 1)) {
+                from = direction < 0 ? level + 1 : level;
+                direction = 1;
+            } else if (position <= level - (direction > 0 ? 2 : 1)) {
+                from = direction > 0 ? level - 1 : level;
+                direction = -1;
+            } else {
+                break;
+            }
+            level = from + direction;
+
+            const previous = bricks[bricks.length - 1];
+            const open = levelPrice(from);
+            const close = levelPrice(level);
+            bricks.push({
+                // Several bricks can complete on one trade, klinecharts needs distinct timestamps
+                timestamp: previous ? Math.max(timestamp, previous.timestamp + 1) : timestamp,
+                start: pending ? pending.start : timestamp,
+                end: timestamp + 1,
+                open,
+                high: Math.max(open, close),
+                low: Math.min(open, close),
+                close,
+                volume: pending ? pending.volumeB : 0,
+                volumeA: pending ? pending.volumeA : 0,
+                volumeB: pending ? pending.volumeB : 0
+            });
+            pending = null;
+        }
+    }
+
+    return bricks;
+}
+
+/**
+ * Point & figure columns from trades: rising X columns and falling O columns of percentage boxes
+ * A column grows while the price fills new boxes in its direction and a new column starts
+ * when the price moves reversalBoxes boxes against it. The last column is still forming.
+ * @param {Array[]} trades - [timestamp, price, volume in B, volume in A, ...]
+ * @param {number} boxPercent
+ * @param {number} reversalBoxes
+ * @returns {Object[]} candles from the bottom to the top box (up for X, down for O) with
+ *   column ('x' | 'o'), boxes and start / end (ms) of the trades behind each column
+ */
+function pointAndFigureColumns(trades, boxPercent, reversalBoxes) {
+    const { sorted, step } = boxedTrades(trades, boxPercent);
+    if (!sorted.length) return [];
+
+    const base = sorted[0][1];
+    const columns = [];
+    // Boxes are numbered from the first price, box n spans base * (1 + box)^n to the next level
+    let current = { column: null, low: 0, high: 0, start: sorted[0][0], end: sorted[0][0] + 1, volumeA: 0, volumeB: 0 };
+
+    for (const [timestamp, price, volume, volumeA] of sorted) {
+        const box = Math.floor(Math.log(price / base) / step + 1e-9);
+
+        if (current.column !== 'o' && box > current.high) {
+            current.high = box;
+            current.column = 'x';
+        } else if (current.column !== 'x' && box < current.low) {
+            current.low = box;
+            current.column = 'o';
+        } else if (current.column === 'x' && box <= current.high - reversalBoxes) {
+            columns.push(current);
+            current = { column: 'o', low: box, high: current.high - 1, start: timestamp, volumeA: 0, volumeB: 0 };
+        } else if (current.column === 'o' && box >= current.low + reversalBoxes) {
+            columns.push(current);
+            current = { column: 'x', low: current.low + 1, high: box, start: timestamp, volumeA: 0, volumeB: 0 };
+        }
+
+        current.end = timestamp + 1;
+        current.volumeA += volumeA;
+        current.volumeB += volume;
+    }
+    // Without a move of one box there is no column yet
+    if (current.column) columns.push(current);
+
+    let previousTimestamp = -Infinity;
+    return columns.map(({ column, low, high, start, end, volumeA, volumeB }) => {
+        const bottom = base * Math.exp(low * step);
+        const top = base * Math.exp((high + 1) * step);
+        previousTimestamp = Math.max(start, previousTimestamp + 1);
+        return {
+            timestamp: previousTimestamp,
+            start,
+            end,
+            column,
+            boxes: high - low + 1,
+            open: column === 'x' ? bottom : top,
+            high: top,
+            low: bottom,
+            close: column === 'x' ? top : bottom,
+            volume: volumeB,
+            volumeA,
+            volumeB
+        };
+    });
+}
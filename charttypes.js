@@ -0,0 +1,242 @@
+/*
+ * Chart type selector for index.html and books.html.
+ *
+ * Hollow candles, OHLC bars and area are klinecharts candle styles. Heikin-Ashi is
+ * derived from the time candles, Renko bricks and point & figure columns from the
+ * trades of the loaded range (see candles.js), so the flat carry-forward candles of
+ * illiquid markets do not take up the chart. Derived charts keep the time candles and
+ * trades in chartBase; Load More, live mode and the invert toggle update those and
+ * redraw the derived bars.
+ */
+const CHART_TYPE_STYLES = { candle: 'candle_solid', hollow: 'candle_stroke', ohlc: 'ohlc', area: 'area' };
+const CHART_BOX_PERCENT = 1; // Renko brick / P&F box when the size is empty
+const PNF_REVERSAL_BOXES = 3;
+
+let chartType = 'candle'; // type on the chart, the select may differ while a switch loads
+// Time candles and trades (null until Renko / P&F needs them) behind a derived chart, null otherwise
+let chartBase = null;
+let pnfPaneId = null;
+
+// Utility: Renko brick / P&F box size in percent
+function chartBoxPercent() {
+    const value = parseFloat(document.getElementById('brick-size').value);
+    return value > 0 ? value : CHART_BOX_PERCENT;
+}
+
+function chartTypeNeedsTrades(type) {
+    return type === 'renko' || type === 'pnf';
+}
+
+// The time candles on the chart, whatever is drawn
+function loadedCandles() {
+    return chartBase ? chartBase.candles : storedCandles(chart.getDataList());
+}
+
+// Chart info / export label, e.g. "Renko, 1% bricks"
+function describeChartType() {
+    const box = chartBoxPercent();
+    return {
+        candle: 'candles',
+        hollow: 'hollow candles',
+        ohlc: 'OHLC bars',
+        area: 'area',
+        'heikin-ashi': 'Heikin-Ashi candles',
+        renko: `Renko, ${box}% bricks`,
+        pnf: `point & figure, ${box}% boxes, ${PNF_REVERSAL_BOXES} box reversal`
+    }[chartType];
+}
+
+// Utility: Time covered by a bar, for the tape's candle filter
+function barTimeSpan(bar, timeframeSeconds) {
+    return bar.start !== undefined
+        ? { start: bar.start, end: bar.end }
+        : { start: bar.timestamp, end: nextCandleTime(bar.timestamp, timeframeSeconds) };
+}
+
+/**
+ * Make the selected type the chart's, called by updateChart before renderChart
+ * Renko / P&F load the trades of the range through the page's fetchTrades.
+ * @param {Function} [rangeHits] - returns (a promise of) the hits updateChart already reads for the range
+ */
+async function prepareChartType(startMs, stopMs, timeframeSeconds, rangeHits = null) {
+    chartType = document.getElementById('chart-type').value;
+    if (CHART_TYPE_STYLES[chartType]) {
+        chartBase = null;
+    } else if (chartTypeNeedsTrades(chartType)) {
+        const hits = rangeHits ? await rangeHits() : null;
+        chartBase = { candles: [], trades: await fetchTrades(startMs, stopMs, timeframeSeconds, hits) };
+    } else {
+        chartBase = { candles: [], trades: null };
+    }
+}
+
+// Derived bars of chartBase, with volume in the selected denomination
+function deriveChartBars() {
+    const { candles, trades } = chartBase;
+    if (chartType === 'heikin-ashi') return heikinAshiCandles(candles);
+    const bars = chartType === 'renko'
+        ? renkoBricks(trades, chartBoxPercent())
+        : pointAndFigureColumns(trades, chartBoxPercent(), PNF_REVERSAL_BOXES);
+    return denominateVolume(bars);
+}
+
+// Bars to draw for the time candles, called by renderChart
+function chartTypeData(candles) {
+    applyChartTypeStyle();
+    if (!chartBase) return candles;
+    chartBase.candles = candles;
+    return deriveChartBars();
+}
+
+// Candle style of the type; P&F hides the bars and draws X / O boxes with the PNF indicator
+function applyChartTypeStyle() {
+    const hidden = chartType === 'pnf';
+    const up = hidden ? 'rgba(0, 0, 0, 0)' : '#30de24';
+    const down = hidden ? 'rgba(0, 0, 0, 0)' : '#ff231f';
+    chart.setStyles({
+        candle: {
+            type: CHART_TYPE_STYLES[chartType] || 'candle_solid',
+            bar: {
+                upColor: up,
+                downColor: down,
+                upBorderColor: up,
+                downBorderColor: down,
+                upWickColor: up,
+                downWickColor: down
+            }
+        }
+    });
+
+    if (hidden && !pnfPaneId) {
+        pnfPaneId = chart.createIndicator('PNF', true, { id: 'candle_pane' });
+    } else if (!hidden && pnfPaneId) {
+        chart.removeIndicator(pnfPaneId, 'PNF');
+        pnfPaneId = null;
+    }
+}
+
+/**
+ * Load More on a derived chart: prepend the older candles (and trades) and redraw
+ * Older trades change where bricks and columns start, so the whole series is derived again.
+ */
+async function extendChartBase(olderCandles, startMs, stopMs, timeframeSeconds) {
+    const candles = chartBase.candles;
+    chartBase.candles = candles.length
+        ? bridgeCandles(olderCandles, candles[0].timestamp, timeframeSeconds, candleOptions.gaps).concat(candles)
+        : olderCandles;
+    if (chartBase.trades) {
+        chartBase.trades = (await fetchTrades(startMs, stopMs, timeframeSeconds)).concat(chartBase.trades);
+    }
+    chart.applyNewData(klineCandles(deriveChartBars()));
+}
+
+/**
+ * Live mode on a derived chart: fold candles from applyTradeToLastCandle into chartBase and redraw
+ * @param {Object[]} candles - updated last candle and / or new candles, in order
+ * @param {Array[]} trades - the trades behind them
+ */
+function updateChartBase(candles, trades) {
+    for (const candle of candles) {
+        const last = chartBase.candles[chartBase.candles.length - 1];
+        if (last && last.timestamp === candle.timestamp) {
+            chartBase.candles[chartBase.candles.length - 1] = candle;
+        } else {
+            chartBase.candles.push(candle);
+        }
+    }
+    if (chartBase.trades) chartBase.trades.push(...trades);
+    chart.applyNewData(klineCandles(deriveChartBars()));
+}
+
+// Invert toggle: trades behind Renko / P&F flip with the candles
+function invertChartBase() {
+    if (chartBase && chartBase.trades) chartBase.trades = chartBase.trades.map(invertTrade);
+}
+
+// Type or box size change: redraw the loaded candles, fetching the trades only when Renko / P&F need them
+async function switchChartType() {
+    if (loadingCandles) {
+        document.getElementById('chart-type').value = chartType;
+        showError('Wait for the chart to finish loading before changing its type');
+        return;
+    }
+    if (!chart || !loadedCandles().length) return;
+
+    const candles = loadedCandles();
+    const trades = chartBase ? chartBase.trades : null;
+    const type = document.getElementById('chart-type').value;
+
+    loadingCandles = true;
+    try {
+        if (chartTypeNeedsTrades(type) && !trades) {
+            setLoading(true, 'Fetching trades...', 0);
+            const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+            await prepareChartType(startTime, getEndTime(), timeframeSeconds);
+        } else {
+            chartType = type;
+            chartBase = CHART_TYPE_STYLES[type] ? null : { candles: [], trades };
+        }
+
+        renderPairChart(candles);
+        labelVolumePane();
+        updateVwapOverlay();
+        syncUrlState(true);
+    } catch (error) {
+        console.error('Error changing chart type:', error);
+        showError('Failed to change chart type: ' + error.message);
+    } finally {
+        setLoading(false);
+        loadingCandles = false;
+    }
+}
+
+// Register the PNF indicator (X / O boxes of each column) once klinecharts is available
+function registerPointAndFigureIndicator() {
+    klinecharts.registerIndicator({
+        name: 'PNF',
+        shortName: 'P&F',
+        series: 'price',
+        figures: [],
+        calc: (dataList) => dataList.map(bar => ({ column: bar.column, boxes: bar.boxes, low: bar.low, high: bar.high })),
+        draw: ({ ctx, barSpace, visibleRange, indicator, xAxis, yAxis }) => {
+            const half = Math.max(barSpace.gapBar / 2 - 1, 2);
+            ctx.lineWidth = 1.5;
+            for (let i = visibleRange.from; i < visibleRange.to; i++) {
+                const column = indicator.result[i];
+                if (!column || !column.column) continue;
+
+                const x = xAxis.convertToPixel(i);
+                // Boxes are percentages, so each one is the previous times the same ratio
+                const ratio = Math.pow(column.high / column.low, 1 / column.boxes);
+                ctx.strokeStyle = column.column === 'x' ? '#30de24' : '#ff231f';
+                for (let box = 0; box < column.boxes; box++) {
+                    const yBottom = yAxis.convertToPixel(column.low * Math.pow(ratio, box));
+                    const yTop = yAxis.convertToPixel(column.low * Math.pow(ratio, box + 1));
+                    const size = Math.min(half, Math.abs(yBottom - yTop) / 2 - 0.5);
+                    const y = (yBottom + yTop) / 2;
+                    ctx.beginPath();
+                    if (column.column === 'x') {
+                        ctx.moveTo(x - size, y - size);
+                        ctx.lineTo(x + size, y + size);
+                        ctx.moveTo(x + size, y - size);
+                        ctx.lineTo(x - size, y + size);
+                    } else {
+                        ctx.arc(x, y, Math.max(size, 0.5), 0, Math.PI * 2);
+                    }
+                    ctx.stroke();
+                }
+            }
+            return true;
+        }
+    });
+}
+
+function setupChartTypeListeners() {
+    document.getElementById('chart-type').addEventListener('change', switchChartType);
+    document.getElementById('brick-size').addEventListener('change', switchChartType);
+}
+
+if (typeof klinecharts !== 'undefined') {
+    registerPointAndFigureIndicator();
+}
+setupChartTypeListeners();
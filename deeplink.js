@@ -0,0 +1,114 @@
+/*
+ * Shareable links: the chart state lives in the URL hash, e.g.
+ * index.html#pool-id=1.19.58&timeframe=14400&range-preset=180d
+ *
+ * Every input / select in .controls is stored under its element id (selects only
+ * when they differ from the page default). The range dates are only stored for a
+ * custom range, presets are relative to now. Each Update pushes a history entry,
+ * so back / forward move between views.
+ */
+const URL_STATE_EXCLUDED = ['export-data']; // controls that are not chart state
+const RANGE_DATE_CONTROLS = ['range-start', 'range-end'];
+
+let restoringUrlState = false; // set while back / forward reloads a view
+let shownUrlHash = '';          // hash of the view on the chart, restored when back / forward is ignored
+
+// Utility: Controls stored in the URL
+function urlStateControls() {
+    return Array.from(document.querySelectorAll('.controls input[id], .controls select[id]'))
+        .filter(element => !URL_STATE_EXCLUDED.includes(element.id));
+}
+
+// Utility: Value a select has when the page loads
+function defaultSelectValue(select) {
+    const option = Array.from(select.options).find(o => o.defaultSelected) || select.options[0];
+    return option ? option.value : '';
+}
+
+function encodeUrlState() {
+    const params = new URLSearchParams();
+
+    const customRange = document.getElementById('range-preset').value === 'custom';
+
+    for (const element of urlStateControls()) {
+        const value = element.value.trim();
+        if (element.tagName === 'SELECT' ? value === defaultSelectValue(element) : !value) continue;
+        if (RANGE_DATE_CONTROLS.includes(element.id) && !customRange) continue;
+        params.set(element.id, value);
+    }
+
+    return params.toString();
+}
+
+/**
+ * Set the controls from the URL hash, updateChart then resolves the range from them
+ * Controls missing from the hash go back to their defaults, so going back to an
+ * older link does not keep options of a newer view.
+ * @returns {boolean} false when the hash holds no state
+ */
+function applyUrlState() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    if (![...params.keys()].length) return false;
+
+    for (const element of urlStateControls()) {
+        if (params.has(element.id)) {
+            element.value = params.get(element.id);
+        } else if (element.tagName === 'SELECT') {
+            element.value = defaultSelectValue(element);
+        } else if (RANGE_DATE_CONTROLS.includes(element.id)) {
+            element.value = '';
+        }
+    }
+    return true;
+}
+
+/**
+ * Write the current state to the URL
+ * @param {boolean} replace - update the current history entry instead of adding one (Load More, first load)
+ */
+function syncUrlState(replace = false) {
+    // A view restored by back / forward must not add an entry, or forward history is lost
+    replace = replace || restoringUrlState;
+    restoringUrlState = false;
+
+    const hash = '#' + encodeUrlState();
+    shownUrlHash = hash;
+    if (hash === window.location.hash) return;
+
+    if (replace) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+}
+
+// Load the view in the controls without adding a history entry. The flag is also cleared
+// when updateChart stops before syncUrlState (unknown pool or asset).
+async function loadRestoredView() {
+    restoringUrlState = true;
+    try {
+        await updateChart();
+    } finally {
+        restoringUrlState = false;
+    }
+}
+
+// Page load: restore a shared link, if any, and load it replacing the entry instead of adding one
+function initUrlState() {
+    shownUrlHash = window.location.hash;
+    applyUrlState();
+    return loadRestoredView();
+}
+
+// Back / forward: restore that view without adding a history entry
+// Ignored while a load runs, a second updateChart would race it, and the address
+// bar goes back to the view on the chart
+window.addEventListener('popstate', () => {
+    if (loadingCandles) {
+        if (shownUrlHash !== window.location.hash) history.pushState(null, '', shownUrlHash || window.location.pathname);
+        showError('Wait for the chart to finish loading before going back or forward');
+        return;
+    }
+    if (!applyUrlState()) return;
+    loadRestoredView();
+});
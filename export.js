@@ -0,0 +1,157 @@
+/*
+ * CSV / JSON export of the candles on the chart and the trades behind them.
+ *
+ * Every page provides collectExportData(dataset) (pools.js, books.js, both.js), which
+ * returns { name, metadata, columns, rows }. Numbers are written with toFixed so
+ * amounts keep their asset precision instead of floating point noise.
+ */
+
+// Utility: Fixed decimals, empty for missing values
+function formatFixed(value, decimals) {
+    return typeof value === 'number' && isFinite(value) ? value.toFixed(decimals) : '';
+}
+
+// Prices are asset A per asset B, so they need the decimals of both assets to stay exact
+function priceDecimals(assetA, assetB) {
+    return Math.min(objectCache[assetA].precision + objectCache[assetB].precision, 16);
+}
+
+/**
+ * Columns of a candle export
+ * @param {string} prefix - column title prefix, '' for single series exports
+ * @param {number} pricePlaces
+ * @param {number} volumePlaces
+ * @param {function(Object): Object} [pick] - finds the candle in an export row
+ * @returns {Object[]} [{ title, value(row), decimals }]
+ */
+function candleExportColumns(prefix, pricePlaces, volumePlaces, pick = row => row) {
+    return ['open', 'high', 'low', 'close'].map(key => ({ title: prefix + key, value: row => pick(row)[key], decimals: pricePlaces }))
+        .concat({ title: prefix + 'volume', value: row => pick(row).volume, decimals: volumePlaces });
+}
+
+/**
+ * Columns of a trade export: price, one amount column per asset and the accounts
+ * @param {number} pricePlaces
+ * @param {string[]} assetIds - assets whose amounts the rows carry
+ * @returns {Object[]} [{ title, value(row), decimals }]
+ */
+function tradeExportColumns(pricePlaces, assetIds) {
+    return [{ title: 'price', value: t => t.price, decimals: pricePlaces }]
+        .concat(assetIds.map(assetId => ({
+            title: `${objectCache[assetId].symbol} amount`,
+            value: t => t.amounts[assetId],
+            decimals: objectCache[assetId].precision
+        })))
+        .concat({ title: 'accounts', value: t => (t.accounts || []).join(' ') });
+}
+
+// Utility: [timestamp, price, volume in B, volume in A, accounts] trades -> export rows, oldest first
+function tradesToExportRows(trades, assetA, assetB) {
+    return trades
+        .map(([timestamp, price, volume, volumeA, accounts]) => ({
+            timestamp, price, amounts: { [assetA]: volumeA, [assetB]: volume }, accounts
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Columns shared by every export: candle / trade time as ISO and as milliseconds
+const EXPORT_TIME_COLUMNS = [
+    { title: 'time', value: row => new Date(row.timestamp).toISOString() },
+    { title: 'timestamp', value: row => row.timestamp }
+];
+
+/**
+ * Metadata written at the top of every export
+ * @param {string} assetA
+ * @param {string} assetB
+ * @param {string} source - e.g. "pool 1.19.58"
+ * @param {number} startMs
+ * @param {number} stopMs
+ */
+function exportMetadata(assetA, assetB, source, startMs, stopMs) {
+    return {
+        source,
+        asset_a: { id: assetA, symbol: objectCache[assetA].symbol, precision: objectCache[assetA].precision },
+        asset_b: { id: assetB, symbol: objectCache[assetB].symbol, precision: objectCache[assetB].precision },
+        price: `${objectCache[assetA].symbol} per ${objectCache[assetB].symbol}`,
+        timeframe_seconds: parseInt(document.getElementById('timeframe').value),
+        range_start: new Date(startMs).toISOString(),
+        range_end: new Date(stopMs).toISOString(),
+        exported_at: new Date().toISOString()
+    };
+}
+
+// Utility: Cell value of a column, formatted
+function exportCell(column, row) {
+    const value = column.value(row);
+    return column.decimals === undefined ? value : formatFixed(value, column.decimals);
+}
+
+function toCsv(metadata, columns, rows) {
+    const escape = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value;
+    const describe = (value) => {
+        if (value && value.symbol) return `${value.symbol} (${value.id}, precision ${value.precision})`;
+        return typeof value === 'object' ? JSON.stringify(value) : value;
+    };
+    const lines = Object.entries(metadata).map(([key, value]) => `# ${key}: ${describe(value)}`);
+    lines.push(columns.map(c => escape(c.title)).join(','));
+    for (const row of rows) {
+        lines.push(columns.map(c => escape(exportCell(c, row))).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Formatted numbers are kept as strings so JSON does not reintroduce float noise
+function toJson(metadata, columns, rows) {
+    return JSON.stringify({
+        metadata,
+        columns: columns.map(c => c.title),
+        rows: rows.map(row => Object.fromEntries(columns.map(c => [c.title, exportCell(c, row)])))
+    }, null, 2);
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Export button: dataset and format come from the #export-data select, e.g. "trades-csv"
+async function exportData() {
+    const [dataset, format] = document.getElementById('export-data').value.split('-');
+    if (loadingCandles) {
+        showError('Wait for the chart to finish loading before exporting');
+        return;
+    }
+
+    // Paginated Elasticsearch reads only continue while a load is running
+    loadingCandles = true;
+    setLoading(true, 'Preparing export...', 0);
+    try {
+        const { name, metadata, columns, rows } = await collectExportData(dataset);
+        if (!rows.length) {
+            showError('Nothing to export');
+            return;
+        }
+        const allColumns = EXPORT_TIME_COLUMNS.concat(columns);
+        const filename = `${name}-${dataset}-${metadata.timeframe_seconds}s.${format}`.replace(/[^\w.-]+/g, '_');
+
+        if (format === 'json') {
+            downloadFile(filename, toJson(metadata, allColumns, rows), 'application/json');
+        } else {
+            downloadFile(filename, toCsv(metadata, allColumns, rows), 'text/csv');
+        }
+        showNotice(`Exported ${rows.length} ${dataset}`);
+    } catch (error) {
+        console.error('Export failed:', error);
+        showError('Export failed: ' + error.message);
+    } finally {
+        setLoading(false);
+        loadingCandles = false;
+    }
+}
@@ -0,0 +1,165 @@
+/*
+ * Pool fee revenue for index.html.
+ *
+ * Swap results list their fees as [maker market fee, taker market fee, pool taker fee];
+ * the pool taker fee is what liquidity providers earn. Results without it are
+ * estimated from the pool's taker_fee_percent.
+ */
+const GRAPHENE_100_PERCENT = 10000;
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+// candle timestamp -> { feeA, feeB, total } with total in the pool's asset A at the candle close
+let feeSeries = new Map();
+let feePaneId = null;
+let feeContext = null; // { pool, fees, startMs, stopMs, timeframeSeconds } of the loaded range, see renderFeePanel
+
+/**
+ * Extract the pool taker fee of every swap, in asset units
+ * @param {Object[]} hits - swap hits from getPoolSwaps
+ * @param {Object} pool - full pool object from rpc.getObjects
+ * @returns {Object[]} [{ timestamp, assetId, amount }]
+ */
+function parsePoolFees(hits, pool) {
+    const fees = [];
+    const takerFeePercent = parseFloat(pool.taker_fee_percent || 0);
+
+    for (const hit of hits) {
+        try {
+            const fields = hit.fields;
+            if (!fields['operation_history.operation_result.keyword']) continue;
+
+            const result = JSON.parse(
+                fields['operation_history.operation_result.keyword'][0].replace(/\\\//g, '/')
+            )[1];
+            if (!result.received || !result.received[0]) continue;
+
+            const bought = result.received[0];
+            let amount;
+            if (result.fees && result.fees[2]) {
+                amount = parseFloat(result.fees[2].amount);
+            } else {
+                // received = gross * (1 - fee), so fee = received * fee / (1 - fee)
+                amount = parseFloat(bought.amount) * takerFeePercent / (GRAPHENE_100_PERCENT - takerFeePercent);
+            }
+
+            fees.push({
+                timestamp: new Date(hit.sort[0]).getTime(),
+                assetId: bought.asset_id,
+                amount: amount / 10 ** objectCache[bought.asset_id].precision
+            });
+        } catch (error) {
+            console.warn('Error parsing swap fees:', error);
+        }
+    }
+
+    return fees;
+}
+
+// Sum fees per candle, valuing the pool's asset B fees at the candle close
+// (assetA is the chart's asset A, the close is in pool.asset_b per pool.asset_a when the chart is inverted)
+function feesPerCandle(fees, candles, pool, timeframeSeconds, assetA) {
+    const series = new Map(candles.map(c => [c.timestamp, { feeA: 0, feeB: 0, total: 0 }]));
+
+    for (const fee of fees) {
+        const entry = series.get(alignToTimeframe(fee.timestamp, timeframeSeconds));
+        if (!entry) continue;
+        if (fee.assetId === pool.asset_a) {
+            entry.feeA += fee.amount;
+        } else {
+            entry.feeB += fee.amount;
+        }
+    }
+
+    for (const candle of candles) {
+        const entry = series.get(candle.timestamp);
+        const price = assetA === pool.asset_a ? candle.close : invertPrice(candle.close);
+        // A period left empty by the 'gaps' policy has no close to value asset B fees at
+        entry.total = entry.feeA + (price !== null ? entry.feeB * price : 0);
+    }
+
+    return series;
+}
+
+// Register the FEES indicator once klinecharts is available
+function registerFeeIndicator() {
+    klinecharts.registerIndicator({
+        name: 'FEES',
+        shortName: 'Pool fees (A)',
+        precision: 8,
+        figures: [{ key: 'fees', title: 'Fees: ', type: 'bar' }],
+        calc: (dataList) => dataList.map(candle => {
+            const entry = feeSeries.get(candle.timestamp);
+            return entry ? { fees: entry.total } : {};
+        })
+    });
+}
+
+function removeFeePanel() {
+    if (feePaneId && chart) {
+        chart.removeIndicator(feePaneId, 'FEES');
+    }
+    feePaneId = null;
+    feeSeries = new Map();
+    feeContext = null;
+    document.getElementById('fee-panel').innerHTML = '';
+}
+
+/**
+ * Compute fee revenue for the loaded range and show the fee pane and summary
+ * @param {Object} pool - full pool object from rpc.getObjects
+ * @param {Object[]} candles
+ * @param {Object[]} hits - swap hits of the range from getPoolSwaps
+ * @param {number} startMs
+ * @param {number} stopMs
+ * @param {number} timeframeSeconds
+ */
+function updateFeePanel(pool, candles, hits, startMs, stopMs, timeframeSeconds) {
+    removeFeePanel();
+    if (candles.length === 0) return;
+
+    updateProgress(0, 'Collecting swap fees...');
+    feeContext = { pool, fees: parsePoolFees(hits, pool), startMs, stopMs, timeframeSeconds };
+    renderFeePanel(candles);
+}
+
+// Fee pane and summary for the candles on the chart, again by the invert toggle.
+// Totals and yield stay in the pool's asset A whichever way the chart is oriented.
+function renderFeePanel(candles) {
+    if (!feeContext) return;
+    const { pool, fees, startMs, stopMs, timeframeSeconds } = feeContext;
+    feeSeries = feesPerCandle(fees, candles, pool, timeframeSeconds, assetA);
+    if (!feePaneId) feePaneId = chart.createIndicator('FEES', false);
+
+    const symbolA = objectCache[pool.asset_a].symbol;
+    const symbolB = objectCache[pool.asset_b].symbol;
+    chart.overrideIndicator({ name: 'FEES', shortName: `Pool fees (${symbolA})` }, feePaneId);
+    const totals = { feeA: 0, feeB: 0, total: 0 };
+    for (const entry of feeSeries.values()) {
+        totals.feeA += entry.feeA;
+        totals.feeB += entry.feeB;
+        totals.total += entry.total;
+    }
+
+    // Yield relative to the average TVL when reserve history is loaded, else to the current reserves
+    let tvl;
+    const reserveValues = typeof reserveSnapshots !== 'undefined' ? Array.from(reserveSnapshots.values()) : [];
+    if (reserveValues.length) {
+        tvl = reserveValues.reduce((sum, r) => sum + 2 * r.balanceA, 0) / reserveValues.length;
+    } else {
+        tvl = 2 * parseFloat(pool.balance_a) / 10 ** objectCache[pool.asset_a].precision;
+    }
+    const rangeMs = stopMs - startMs;
+    const annualYield = tvl > 0 ? (totals.total / tvl) * (MS_PER_YEAR / rangeMs) * 100 : 0;
+    const takerFee = parseFloat(pool.taker_fee_percent || 0) / 100;
+
+    document.getElementById('fee-panel').innerHTML = `
+        <strong>Fees earned</strong> | ${totals.feeA.toFixed(8)} ${symbolA} + ${totals.feeB.toFixed(8)} ${symbolB}
+        (≈ ${totals.total.toFixed(8)} ${symbolA}) from ${fees.length} swaps
+        | Taker fee ${takerFee.toFixed(2)}%
+        | Annualized fee yield ${annualYield.toFixed(2)}%
+    `;
+}
+
+if (typeof klinecharts !== 'undefined') {
+    registerFeeIndicator();
+}
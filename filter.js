@@ -0,0 +1,72 @@
+/*
+ * Trade filter for index.html and books.html.
+ *
+ * Drops the trades of ignored accounts, dust below a minimum size and price outliers
+ * (median / MAD band around the neighbouring trades) between parsing and candle
+ * building, see filterTrades in candles.js. Filtered charts always use raw hits.
+ */
+
+// Options handed to processHits, null when every trade is kept
+let tradeFilter = null;
+let droppedTrades = { accounts: 0, dust: 0, outliers: 0 };
+
+/**
+ * Read the filter controls and set tradeFilter, called by updateChart
+ * @returns {Promise<boolean>} false (after showing an error) when an ignored account does not exist
+ */
+async function applyTradeFilter() {
+    const minAmount = parseFloat(document.getElementById('min-trade-size').value) || 0;
+    const outlierBand = parseFloat(document.getElementById('outlier-band').value) || 0;
+    const names = document.getElementById('ignore-accounts').value
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name);
+
+    let ignoreAccounts;
+    try {
+        ignoreAccounts = await Promise.all(names.map(resolveAccount));
+    } catch (error) {
+        showError(error.message);
+        return false;
+    }
+
+    tradeFilter = minAmount > 0 || outlierBand > 0 || ignoreAccounts.length
+        ? { minAmount, minAmountSide: document.getElementById('min-trade-asset').value, outlierBand, ignoreAccounts }
+        : null;
+    droppedTrades = { accounts: 0, dust: 0, outliers: 0 };
+    renderFilterPanel();
+    return true;
+}
+
+// Add the counts of one filtered slice (first load, Load More, live blocks)
+function recordDroppedTrades(dropped) {
+    droppedTrades.accounts += dropped.accounts;
+    droppedTrades.dust += dropped.dust;
+    droppedTrades.outliers += dropped.outliers;
+    renderFilterPanel();
+}
+
+function renderFilterPanel() {
+    const panel = document.getElementById('filter-panel');
+    if (!tradeFilter) {
+        panel.innerHTML = '';
+        return;
+    }
+
+    const total = droppedTrades.accounts + droppedTrades.dust + droppedTrades.outliers;
+    panel.innerHTML = `
+        <strong>Filtered</strong> | ${total} trades dropped:
+        ${droppedTrades.dust} below the minimum size,
+        ${droppedTrades.outliers} price outliers,
+        ${droppedTrades.accounts} from ignored accounts
+    `;
+}
+
+// Live mode: blocks bring too few trades for a rolling median, so only accounts and size are checked
+function filterLiveTrades(trades) {
+    if (!tradeFilter || !trades.length) return trades;
+
+    const { trades: kept, dropped } = filterTrades(trades, { ...tradeFilter, outlierBand: 0 });
+    recordDroppedTrades(dropped);
+    return kept;
+}
@@ -337,6 +337,21 @@ class GrapheneRPC {
     }
 
 
+    /**
+     * Returns dynamic global properties (2.1.0), including head_block_number and time
+     */
+    async getDynamicGlobalProperties() {
+        return this.query("database", ["get_dynamic_global_properties", []]);
+    }
+
+    /**
+     * Returns a block, its transactions carry operation_results alongside operations
+     * @param {number} blockNum
+     */
+    async getBlock(blockNum) {
+        return this.query("database", ["get_block", [blockNum]]);
+    }
+
     /**
      * Fetches account balances for specified asset IDs.
      * Uses: cache.account_name
@@ -407,7 +422,8 @@ class GrapheneRPC {
      */
     async rpcLookupAccounts(cache) {
         const ret = await this.query("database", ["lookup_accounts", [cache.account_name, 1]]);
-        return ret[0][1];
+        // Empty past the last account name
+        return ret && ret.length ? ret[0][1] : null;
     }
 
     /**
@@ -0,0 +1,155 @@
+/*
+ * Technical indicator panel for index.html and books.html.
+ *
+ * Adds klinecharts' built-in indicators on the candle pane or in their own pane,
+ * with editable parameters. The layout is saved in localStorage per pool / pair
+ * and restored when that market is loaded again.
+ */
+const INDICATOR_TYPES = {
+    MA: { calcParams: [5, 10, 30, 60], pane: 'main', title: 'Moving average' },
+    EMA: { calcParams: [6, 12, 20], pane: 'main', title: 'Exponential moving average' },
+    SMA: { calcParams: [12, 2], pane: 'main', title: 'Smoothed moving average' },
+    BOLL: { calcParams: [20, 2], pane: 'main', title: 'Bollinger bands' },
+    SAR: { calcParams: [2, 2, 20], pane: 'main', title: 'Parabolic SAR' },
+    RSI: { calcParams: [6, 12, 24], pane: 'sub', title: 'Relative strength index' },
+    MACD: { calcParams: [12, 26, 9], pane: 'sub', title: 'MACD' },
+    KDJ: { calcParams: [9, 3, 3], pane: 'sub', title: 'KDJ' },
+    WR: { calcParams: [6, 10, 14], pane: 'sub', title: 'Williams %R' },
+    CCI: { calcParams: [20], pane: 'sub', title: 'Commodity channel index' },
+    OBV: { calcParams: [30], pane: 'sub', title: 'On balance volume' }
+};
+
+let indicatorLayout = [];      // [{ name, calcParams, pane, paneId }]
+let indicatorLayoutKey = null; // market the layout belongs to, e.g. "pool:1.19.58"
+
+// Utility: localStorage key of a market's layout
+function indicatorStorageKey(key) {
+    return 'indicators:' + key;
+}
+
+function saveIndicatorLayout() {
+    if (!indicatorLayoutKey) return;
+    const layout = indicatorLayout.map(({ name, calcParams, pane }) => ({ name, calcParams, pane }));
+    localStorage.setItem(indicatorStorageKey(indicatorLayoutKey), JSON.stringify(layout));
+}
+
+// Utility: "5, 10, 30" -> [5, 10, 30], null when a value is not a number
+function parseIndicatorParams(text) {
+    const params = text.split(',').map(value => value.trim()).filter(value => value !== '').map(Number);
+    return params.length && params.every(value => isFinite(value)) ? params : null;
+}
+
+// Draw one layout entry, each sub pane indicator gets a pane of its own
+function createLayoutIndicator(entry) {
+    const value = { name: entry.name, calcParams: entry.calcParams };
+    entry.paneId = entry.pane === 'main'
+        ? chart.createIndicator(value, true, { id: 'candle_pane' })
+        : chart.createIndicator(value, false);
+}
+
+function removeLayoutIndicator(entry) {
+    if (entry.paneId && chart) {
+        chart.removeIndicator(entry.paneId, entry.name);
+    }
+    entry.paneId = null;
+}
+
+/**
+ * Switch to the saved layout of a market, called by updateChart once the pool or pair is known
+ * @param {string} key - "pool:<pool id>" or "pair:<asset A id>:<asset B id>"
+ */
+function loadIndicatorLayout(key) {
+    if (key === indicatorLayoutKey) return;
+
+    indicatorLayout.forEach(removeLayoutIndicator);
+    indicatorLayout = [];
+    indicatorLayoutKey = key;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(indicatorStorageKey(key)) || '[]');
+        indicatorLayout = saved.filter(entry => INDICATOR_TYPES[entry.name]);
+    } catch (error) {
+        console.warn('Ignoring invalid indicator layout:', error);
+    }
+    indicatorLayout.forEach(createLayoutIndicator);
+    renderIndicatorPanel();
+}
+
+// Add button: one instance per indicator, adding it again moves it / resets its parameters
+function addIndicator() {
+    const name = document.getElementById('indicator-name').value;
+    const pane = document.getElementById('indicator-pane').value;
+
+    const existing = indicatorLayout.find(entry => entry.name === name);
+    if (existing) {
+        removeLayoutIndicator(existing);
+        indicatorLayout = indicatorLayout.filter(entry => entry !== existing);
+    }
+
+    const entry = { name, calcParams: [...INDICATOR_TYPES[name].calcParams], pane, paneId: null };
+    createLayoutIndicator(entry);
+    indicatorLayout.push(entry);
+    saveIndicatorLayout();
+    renderIndicatorPanel();
+}
+
+function removeIndicatorEntry(name) {
+    const entry = indicatorLayout.find(e => e.name === name);
+    if (!entry) return;
+    removeLayoutIndicator(entry);
+    indicatorLayout = indicatorLayout.filter(e => e !== entry);
+    saveIndicatorLayout();
+    renderIndicatorPanel();
+}
+
+// Parameter input: recalculate the indicator with the new values
+function setIndicatorParams(name, text) {
+    const entry = indicatorLayout.find(e => e.name === name);
+    if (!entry) return;
+
+    const calcParams = parseIndicatorParams(text);
+    if (!calcParams) {
+        showError(`Invalid ${name} parameters, use comma separated numbers`);
+        renderIndicatorPanel();
+        return;
+    }
+    entry.calcParams = calcParams;
+    chart.overrideIndicator({ name, calcParams }, entry.paneId);
+    saveIndicatorLayout();
+}
+
+// Picking an indicator suggests its usual pane
+function suggestIndicatorPane() {
+    const name = document.getElementById('indicator-name').value;
+    document.getElementById('indicator-pane').value = INDICATOR_TYPES[name].pane;
+}
+
+function renderIndicatorPanel() {
+    const panel = document.getElementById('indicator-panel');
+    const selected = document.getElementById('indicator-name');
+    const name = selected ? selected.value : 'MA';
+
+    panel.innerHTML = `
+        <div class="indicator-controls">
+            <strong>Indicators</strong>
+            <select id="indicator-name" onchange="suggestIndicatorPane()">
+                ${Object.entries(INDICATOR_TYPES).map(([key, type]) =>
+                    `<option value="${key}" ${key === name ? 'selected' : ''}>${key} - ${type.title}</option>`).join('')}
+            </select>
+            <select id="indicator-pane">
+                <option value="main" ${INDICATOR_TYPES[name].pane === 'main' ? 'selected' : ''}>On the candles</option>
+                <option value="sub" ${INDICATOR_TYPES[name].pane === 'sub' ? 'selected' : ''}>Own pane</option>
+            </select>
+            <button class="btn-update btn-small" onclick="addIndicator()">Add</button>
+        </div>
+        ${indicatorLayout.map(entry => `
+            <div class="indicator-row">
+                <span>${entry.name}</span>
+                <span>${entry.pane === 'main' ? 'on the candles' : 'own pane'}</span>
+                <input type="text" value="${entry.calcParams.join(', ')}" title="Parameters, comma separated"
+                    onchange="setIndicatorParams('${entry.name}', this.value)">
+                <a href="#" onclick="removeIndicatorEntry('${entry.name}'); return false;">remove</a>
+            </div>
+        `).join('')}
+    `;
+}
@@ -0,0 +1,69 @@
+/*
+ * Invert toggle shared by every page.
+ *
+ * updateChart swaps asset A and B when the toggle is on, so fetches, Load More and
+ * live mode produce B:A prices directly. Flipping the toggle on a loaded chart
+ * converts the loaded candles and trades instead of querying them again: each
+ * page provides invertLoadedPair() (pools.js, books.js, both.js).
+ */
+
+function pairInverted() {
+    return document.getElementById('invert-pair').value === 'on';
+}
+
+// Utility: 1 / price, missing or zero prices stay as they are
+function invertPrice(price) {
+    return price > 0 ? 1 / price : price;
+}
+
+// Candle of the other orientation: prices inverted (so high and low swap), traded amounts swap sides
+function invertCandle(candle) {
+    return {
+        ...candle,
+        open: invertPrice(candle.open),
+        high: invertPrice(candle.low),
+        low: invertPrice(candle.high),
+        close: invertPrice(candle.close),
+        volumeA: candle.volumeB,
+        volumeB: candle.volumeA
+    };
+}
+
+// [timestamp, price, volume in B, volume in A, account ids] trade of the other orientation, for Renko / P&F
+function invertTrade([timestamp, price, volume, volumeA, accounts]) {
+    return [timestamp, invertPrice(price), volumeA, volume, accounts];
+}
+
+/**
+ * Flip the klinecharts page (index.html, books.html) after the page swapped assetA / assetB
+ * Candles are converted in place of the chart data; overlays built from parsed trades follow.
+ */
+function invertKlineChart() {
+    invertVolumeDenomination(assetA, assetB);
+    const candles = denominateVolume(loadedCandles().map(invertCandle));
+    invertChartBase();
+
+    renderPairChart(candles);
+    labelVolumePane();
+    updateVwapOverlay();
+
+    invertAccountOverlay(assetA, assetB);
+    invertLeaderboard(assetA, assetB).catch(error => showError('Failed to update the leaderboard: ' + error.message));
+    invertTradeTape();
+}
+
+// Toggle change: flip what is loaded, or leave it to the next Update when nothing is
+function setupInvertListener() {
+    const toggle = document.getElementById('invert-pair');
+    toggle.addEventListener('change', () => {
+        if (loadingCandles) {
+            toggle.value = pairInverted() ? 'off' : 'on';
+            showError('Wait for the chart to finish loading before inverting it');
+            return;
+        }
+        invertLoadedPair();
+        syncUrlState();
+    });
+}
+
+setupInvertListener();
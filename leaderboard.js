@@ -0,0 +1,153 @@
+/*
+ * Top traders of the loaded range for index.html and books.html.
+ *
+ * Ranks the accounts behind the pool's swaps (or the pair's fills) by volume,
+ * trade count or net flow. Clicking a row marks that account's trades on the chart.
+ */
+const LEADERBOARD_SIZE = 25;
+
+let leaderboardRows = [];
+let leaderboardTrades = []; // every parsed trade of the range, kept for highlighting
+let leaderboardContext = null; // { assetA, assetB, timeframeSeconds }
+let leaderboardSort = { key: 'volume', descending: true };
+let highlightedTrader = null;
+
+/**
+ * Aggregate trades per account
+ * @param {Object[]} trades - from parseAccountTrades
+ * @returns {Object[]} [{ account, count, volumeA, bought, sold, net }], asset B amounts except volumeA
+ */
+function rankTraders(trades) {
+    const rows = new Map();
+
+    for (const trade of trades) {
+        if (!trade.account) continue;
+        if (!rows.has(trade.account)) {
+            rows.set(trade.account, { account: trade.account, count: 0, volumeA: 0, bought: 0, sold: 0, net: 0 });
+        }
+        const row = rows.get(trade.account);
+        row.count++;
+        row.volumeA += trade.amountA;
+        if (trade.side === 'buy') {
+            row.bought += trade.amountB;
+        } else {
+            row.sold += trade.amountB;
+        }
+        row.net = row.bought - row.sold;
+    }
+
+    return Array.from(rows.values());
+}
+
+// Utility: Rows in the current sort order
+function sortedLeaderboardRows() {
+    const value = { volume: r => r.volumeA, count: r => r.count, net: r => r.net }[leaderboardSort.key];
+    const direction = leaderboardSort.descending ? -1 : 1;
+    return [...leaderboardRows].sort((a, b) => direction * (value(a) - value(b)));
+}
+
+async function renderLeaderboard() {
+    const panel = document.getElementById('leaderboard-panel');
+    if (!leaderboardContext) {
+        panel.innerHTML = '';
+        return;
+    }
+
+    const rows = sortedLeaderboardRows().slice(0, LEADERBOARD_SIZE);
+    const names = await getAccountNames(rows.map(r => r.account));
+    const symbolA = objectCache[leaderboardContext.assetA].symbol;
+    const symbolB = objectCache[leaderboardContext.assetB].symbol;
+    const arrow = (key) => leaderboardSort.key === key ? (leaderboardSort.descending ? ' ▼' : ' ▲') : '';
+
+    panel.innerHTML = `
+        <strong>Top traders</strong> | ${leaderboardRows.length} accounts, click a row to mark its trades
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>Account</th>
+                    <th class="sortable" onclick="sortLeaderboard('volume')">Volume (${symbolA})${arrow('volume')}</th>
+                    <th class="sortable" onclick="sortLeaderboard('count')">Trades${arrow('count')}</th>
+                    <th>Bought (${symbolB})</th>
+                    <th>Sold (${symbolB})</th>
+                    <th class="sortable" onclick="sortLeaderboard('net')">Net flow (${symbolB})${arrow('net')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map((row, index) => `
+                    <tr class="${row.account === highlightedTrader ? 'selected' : ''}" onclick="highlightTrader('${row.account}')">
+                        <td>${index + 1}</td>
+                        <td>${names.get(row.account)}</td>
+                        <td>${row.volumeA.toFixed(8)}</td>
+                        <td>${row.count}</td>
+                        <td>${row.bought.toFixed(8)}</td>
+                        <td>${row.sold.toFixed(8)}</td>
+                        <td class="${row.net >= 0 ? 'positive' : 'negative'}">${row.net.toFixed(8)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Header click: sort by another column, or flip the order of the current one
+function sortLeaderboard(key) {
+    leaderboardSort = leaderboardSort.key === key
+        ? { key, descending: !leaderboardSort.descending }
+        : { key, descending: true };
+    renderLeaderboard();
+}
+
+// Row click: mark the account's trades on the chart, a second click clears them
+async function highlightTrader(accountId) {
+    if (!leaderboardContext) return;
+
+    if (highlightedTrader === accountId) {
+        highlightedTrader = null;
+        removeAccountOverlay();
+    } else {
+        highlightedTrader = accountId;
+        const { assetA, assetB, timeframeSeconds } = leaderboardContext;
+        const name = (await getAccountNames([accountId])).get(accountId);
+        const trades = leaderboardTrades.filter(trade => trade.account === accountId);
+        showAccountTrades(name, trades, assetA, assetB, timeframeSeconds);
+    }
+    renderLeaderboard();
+}
+
+function removeLeaderboard() {
+    leaderboardRows = [];
+    leaderboardTrades = [];
+    leaderboardContext = null;
+    highlightedTrader = null;
+    document.getElementById('leaderboard-panel').innerHTML = '';
+}
+
+/**
+ * Rank the accounts behind the loaded range
+ * @param {Object[]} hits - swap or fill hits of the loaded range
+ * @param {'pool'|'fill'} kind
+ * @param {string} assetA
+ * @param {string} assetB
+ * @param {number} timeframeSeconds
+ */
+async function updateLeaderboard(hits, kind, assetA, assetB, timeframeSeconds) {
+    removeLeaderboard();
+
+    leaderboardTrades = parseAccountTrades(hits, kind, assetA);
+    leaderboardRows = rankTraders(leaderboardTrades);
+    leaderboardContext = { assetA, assetB, timeframeSeconds };
+
+    updateProgress(90, 'Resolving account names...');
+    await renderLeaderboard();
+}
+
+// Invert toggle: rank the same trades in the other orientation, assetA / assetB are already swapped
+async function invertLeaderboard(assetA, assetB) {
+    if (!leaderboardContext) return;
+
+    leaderboardTrades = leaderboardTrades.map(invertAccountTrade);
+    leaderboardRows = rankTraders(leaderboardTrades);
+    leaderboardContext = { ...leaderboardContext, assetA, assetB };
+    await renderLeaderboard();
+}
@@ -0,0 +1,182 @@
+/*
+ * Live mode: follows new blocks through the RPC pool and appends matching operations
+ * to the open klinecharts chart.
+ *
+ * Block operations are turned into Elasticsearch-shaped hits so the page parsers
+ * (parsePoolTrades / parseAssetPairTrades) are reused unchanged. Polling goes
+ * through GrapheneRPCPool, so when a node fails the pool fails over and the next
+ * poll resumes from the last processed block number.
+ */
+const LIVE_POLL_MS = 3000; // BitShares block interval
+const LIVE_MAX_BLOCKS_PER_POLL = 100;
+const LIVE_MAX_BACKFILL_MS = 60 * 60 * 1000; // older loads are reloaded instead of replayed block by block
+
+let liveTimer = null;
+let liveLastBlock = null;
+let livePolling = false;
+let liveBackfillFrom = null; // end of the last historical load (set by resumeLiveFrom), live mode starts after it
+
+// Utility: Show the live indicator state ('live', 'reconnecting' or '' to hide it)
+function setLiveIndicator(state, title = '') {
+    const indicator = document.getElementById('live-indicator');
+    indicator.className = 'live-indicator' + (state ? ' active ' + state : '');
+    indicator.textContent = state === 'reconnecting' ? 'RECONNECTING' : 'LIVE';
+    indicator.title = title;
+}
+
+/**
+ * Turn the operations of one block into hits shaped like the Elasticsearch ones
+ * @param {Object} block - result of rpc.getBlock
+ * @param {number} blockNum
+ * @param {number} operationType - e.g. 63 for liquidity_pool_exchange
+ * @param {function(Object): boolean} match - filter on the operation body
+ * @returns {Object[]}
+ */
+function blockOperationHits(block, blockNum, operationType, match) {
+    const hits = [];
+    // Block timestamps are UTC without a zone suffix
+    const blockTime = new Date(block.timestamp + 'Z').getTime();
+
+    block.transactions.forEach(transaction => {
+        transaction.operations.forEach((operation, index) => {
+            if (operation[0] !== operationType || !match(operation[1])) return;
+
+            const result = transaction.operation_results ? transaction.operation_results[index] : null;
+            hits.push({
+                sort: [blockTime],
+                fields: {
+                    'operation_history.op': [JSON.stringify(operation)],
+                    'operation_history.operation_result.keyword': result ? [JSON.stringify(result)] : undefined,
+                    'account_history.account.keyword': [operation[1].account || operation[1].seller],
+                    'block_data.block_num': [blockNum]
+                }
+            });
+        });
+    });
+
+    return hits;
+}
+
+// Append trades to the chart, rolling over to new candles as needed
+function appendLiveTrades(trades) {
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+
+    for (const trade of trades.sort((a, b) => a[0] - b[0])) {
+        const dataList = loadedCandles();
+        const candles = denominateVolume(applyTradeToLastCandle(dataList[dataList.length - 1], trade, timeframeSeconds, candleOptions.gaps));
+        if (chartBase) {
+            updateChartBase(candles, [trade]);
+        } else {
+            klineCandles(candles).forEach(candle => chart.updateData(candle));
+        }
+    }
+}
+
+// Start a flat candle when the clock passes into a new period without trades (none when empty periods are skipped)
+function rollLiveCandle() {
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const dataList = loadedCandles();
+    const lastCandle = dataList[dataList.length - 1];
+    if (!lastCandle) return;
+
+    const currentPeriod = alignToTimeframe(Date.now(), timeframeSeconds);
+    if (currentPeriod > lastCandle.timestamp) {
+        const bridged = bridgeCandles([lastCandle], currentPeriod + 1, timeframeSeconds, candleOptions.gaps).slice(1);
+        if (chartBase) {
+            updateChartBase(bridged, []);
+        } else {
+            klineCandles(bridged).forEach(candle => chart.updateData(candle));
+        }
+    }
+}
+
+async function pollLiveBlocks() {
+    // Skip while a historical load replaces the chart, or while the previous poll is still running
+    if (livePolling || loadingCandles || !chart) return;
+    livePolling = true;
+
+    try {
+        const properties = await rpc.getDynamicGlobalProperties();
+        const headBlock = properties.head_block_number;
+
+        if (liveLastBlock === null) {
+            const headTime = new Date(properties.time + 'Z').getTime();
+            if (liveBackfillFrom === null || headTime - liveBackfillFrom > LIVE_MAX_BACKFILL_MS) {
+                // Too far back to replay block by block without flooding the node
+                stopLiveMode();
+                showError('Live mode stopped, the chart ends more than an hour ago: press Update and go live again');
+                return;
+            }
+            // Go back to the end of the historical load, one block per LIVE_POLL_MS. Missed block
+            // slots only make that reach further back, the trades before it are dropped below.
+            liveLastBlock = headBlock - Math.ceil(Math.max(headTime - liveBackfillFrom, 0) / LIVE_POLL_MS);
+        }
+
+        // The backfill, or an outage, is caught up over several polls
+        const lastBlock = Math.min(headBlock, liveLastBlock + LIVE_MAX_BLOCKS_PER_POLL);
+        let trades = [];
+        for (let blockNum = liveLastBlock + 1; blockNum <= lastBlock; blockNum++) {
+            const block = await rpc.getBlock(blockNum);
+            if (!block) break; // not yet available on this node, retry next poll
+            // liveTradesFromBlock is provided by the page script (pools.js / books.js)
+            trades = trades.concat(liveTradesFromBlock(block, blockNum));
+            liveLastBlock = blockNum;
+        }
+
+        if (loadingCandles) return; // chart is being replaced, these trades are part of the new load
+        appendLiveTrades(trades.filter(trade => trade[0] > liveBackfillFrom));
+        // New periods start once the blocks up to now are in, older trades cannot go into a newer candle
+        if (liveLastBlock === headBlock) rollLiveCandle();
+
+        setLiveIndicator('live', `Block ${liveLastBlock} via ${rpc.getNodeStatus().currentNodeUrl}`);
+    } catch (error) {
+        // The pool is already failing over to another node, keep polling
+        console.error('Live update failed:', error.message);
+        setLiveIndicator('reconnecting', error.message);
+    } finally {
+        livePolling = false;
+    }
+}
+
+function startLiveMode() {
+    if (liveTimer) return;
+    if (endTime !== null) {
+        showError('Live mode follows new blocks, clear the end of the range first');
+        return;
+    }
+
+    liveLastBlock = null;
+    setLiveIndicator('reconnecting', 'Connecting...');
+    document.getElementById('live-btn').textContent = 'Stop Live';
+    // Polls wait for the reload, then backfill from its end
+    if (!loadingCandles && (liveBackfillFrom === null || Date.now() - liveBackfillFrom > LIVE_MAX_BACKFILL_MS)) {
+        updateChart();
+    }
+    pollLiveBlocks();
+    liveTimer = setInterval(pollLiveBlocks, LIVE_POLL_MS);
+}
+
+// Called by updateChart when a load is in: live mode continues from its end, or stops when the range ends in the past
+function resumeLiveFrom(stopMs) {
+    liveBackfillFrom = stopMs;
+    liveLastBlock = null;
+    if (liveTimer && endTime !== null) {
+        stopLiveMode();
+        showNotice('Live mode stopped, the range ends in the past');
+    }
+}
+
+function stopLiveMode() {
+    clearInterval(liveTimer);
+    liveTimer = null;
+    setLiveIndicator('');
+    document.getElementById('live-btn').textContent = 'Go Live';
+}
+
+function toggleLiveMode() {
+    if (liveTimer) {
+        stopLiveMode();
+    } else {
+        startLiveMode();
+    }
+}
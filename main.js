@@ -1,5 +1,6 @@
 // Configuration
 const ELASTICSEARCH_URL = 'https://es.bitshares.dev/bitshares-*/_search';
+const ES_MAX_RESULTS = 1000000;
 
 let loadingCandles = false;
 let chart = null;
@@ -9,6 +10,11 @@ var poolList = {};
 var rpc = new GrapheneRPCPool();
 let candles;
 let startTime = parseInt(new Date().getTime() - (90 * 24 * 60 * 60 * 1000));
+let endTime = null; // null = up to now
+let candleOptions = DEFAULT_CANDLE_OPTIONS; // gap policy and seed of the chart's candles, see applyCandleOptions
+let tradeWorker = null; // null = not started yet, false = unavailable (e.g. opened from file://)
+let tradeWorkerRequestId = 1;
+const tradeWorkerRequests = new Map();
 
 
 // Utility: Convert milliseconds to ISO date string
@@ -16,6 +22,70 @@ function toIsoDate(ms) {
     return new Date(ms).toISOString();
 }
 
+// Utility: End of the chart range in ms
+function getEndTime() {
+    return endTime === null ? new Date().getTime() : endTime;
+}
+
+// Utility: Time of the oldest hit a query matches, null when it matches nothing
+async function queryEarliestHitTime(query) {
+    const response = await fetch(ELASTICSEARCH_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...query,
+            track_total_hits: false,
+            size: 1,
+            sort: [{ "block_data.block_time": { "order": "asc" } }]
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`Elasticsearch error: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const hit = data.hits.hits[0];
+    return hit ? hit.sort[0] : null;
+}
+
+// Utility: The newest hits a query matches, newest first
+async function queryLatestHits(query, size) {
+    const response = await fetch(ELASTICSEARCH_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            ...query,
+            track_total_hits: false,
+            size,
+            sort: [{ "block_data.block_time": { "order": "desc" } }]
+        })
+    });
+    if (!response.ok) {
+        throw new Error(`Elasticsearch error: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.hits.hits;
+}
+
+// Read the "Gaps" and "Time zone" controls into candleOptions / candleTimeZone, called by updateChart before fetching
+function applyCandleOptions() {
+    candleOptions = {
+        gaps: document.getElementById('gap-policy').value,
+        seed: document.getElementById('gap-seed').value === 'on'
+    };
+    const timeZone = document.getElementById('time-zone').value;
+    setCandleTimeZone(timeZone === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : timeZone);
+}
+
+// Utility: Keep only the hits in one account's history
+function filterHitsByAccount(hits, accountId) {
+    return hits.filter(hit => {
+        const account = hit.fields['account_history.account.keyword'];
+        return account && account[0] === accountId;
+    });
+}
+
 // Utility: Show error
 function showError(message) {
     const errorDiv = document.getElementById('error-message');
@@ -26,6 +96,16 @@ function showError(message) {
     }, 5000);
 }
 
+// Utility: Show a non-error notice in the same toast
+function showNotice(message) {
+    const errorDiv = document.getElementById('error-message');
+    errorDiv.textContent = message;
+    errorDiv.classList.add('active', 'notice');
+    setTimeout(() => {
+        errorDiv.classList.remove('active', 'notice');
+    }, 5000);
+}
+
 // Utility: Show/hide loading
 function setLoading(show, text = '', progress = 0) {
     const overlay = document.getElementById('loading-overlay');
@@ -47,6 +127,83 @@ function updateProgress(percent, text = '') {
     }
 }
 
+// Start the trade worker on first use, returns null when workers cannot run here
+function getTradeWorker() {
+    if (tradeWorker !== null) return tradeWorker || null;
+
+    try {
+        tradeWorker = new Worker('trade-worker.js');
+    } catch (error) {
+        console.warn('Trade worker unavailable, parsing on the main thread:', error.message);
+        tradeWorker = false;
+        return null;
+    }
+
+    tradeWorker.onmessage = (event) => {
+        const { id, type } = event.data;
+        const request = tradeWorkerRequests.get(id);
+        if (!request) return;
+
+        if (type === 'progress') {
+            updateProgress(event.data.percent, event.data.text);
+        } else if (type === 'result') {
+            tradeWorkerRequests.delete(id);
+            request.resolve({ trades: event.data.trades, candles: event.data.candles, dropped: event.data.dropped });
+        } else if (type === 'error') {
+            tradeWorkerRequests.delete(id);
+            request.reject(new Error(event.data.message));
+        }
+    };
+
+    // Script failed to load or crashed - fail everything in flight and stop using it
+    tradeWorker.onerror = (event) => {
+        console.warn('Trade worker failed, parsing on the main thread:', event.message);
+        event.preventDefault();
+        tradeWorker.terminate();
+        tradeWorker = false;
+        for (const request of tradeWorkerRequests.values()) {
+            request.reject(new Error('Trade worker failed'));
+        }
+        tradeWorkerRequests.clear();
+    };
+
+    return tradeWorker;
+}
+
+/**
+ * Parse hits into trades and build candles, in the trade worker when possible
+ * @param {'pool'|'book'|'fill'} kind - which parser to use
+ * @param {Object[]} hits - Elasticsearch hits
+ * @param {string} assetA - asset the price is quoted in
+ * @param {number} timeframeSeconds
+ * @param {string[]} assetIds - assets whose precision the parser needs
+ * @param {Object} [filter] - filterTrades options, null to keep every trade
+ * @param {'carry'|'gaps'|'collapse'} [gaps] - policy for periods without trades
+ * @returns {Promise<{trades: Array[], candles: Object[], dropped: Object|null}>} dropped counts when filtered
+ */
+async function processHits(kind, hits, assetA, timeframeSeconds, assetIds, filter = null, gaps = 'carry') {
+    const worker = getTradeWorker();
+
+    if (worker) {
+        const id = tradeWorkerRequestId++;
+        const assets = Object.fromEntries(assetIds.map(assetId => [assetId, objectCache[assetId]]));
+        try {
+            return await new Promise((resolve, reject) => {
+                tradeWorkerRequests.set(id, { resolve, reject });
+                worker.postMessage({ id, kind, hits, assetA, timeframeSeconds, assets, filter, gaps, timeZone: candleTimeZone });
+            });
+        } catch (error) {
+            console.warn('Trade worker request failed, retrying on the main thread:', error.message);
+        }
+    }
+
+    const parse = { pool: parsePoolTrades, book: parseAssetPairTrades, fill: parseFillTrades }[kind];
+    let trades = parse(hits, assetA);
+    let dropped = null;
+    if (filter) ({ trades, dropped } = filterTrades(trades, filter));
+    return { trades, candles: tradesToCandles(trades, timeframeSeconds, gaps), dropped };
+}
+
 async function initChart() {
     // Properly dispose existing chart if it exists
     if (chart) {
@@ -74,6 +231,13 @@ async function initChart() {
         },
         candle: {
             type: 'candle_solid',
+            tooltip: {
+                // Periods left empty by the "Leave gaps" policy have no prices to list
+                custom: ({ current }) => Number.isFinite(current.close) ? CANDLE_TOOLTIP : [
+                    { title: 'time', value: '{time}' },
+                    { title: 'no trades', value: '' }
+                ]
+            },
             bar: {
                 upColor: '#30de24',
                 downColor: '#ff231f',
@@ -84,6 +248,9 @@ async function initChart() {
             }
         },
     })
+    // Scrolling to the left edge pulls in the next older slice
+    chart.loadMore(() => checkVisibleRange());
+
     // Create the volume indicator in a separate pane
     chart.createIndicator({
             name: "VOL", // built-in volume indicator
@@ -99,92 +266,25 @@ async function initChart() {
     return chart;
 }
 
-// Convert discrete trades to OHLC candles - FIXED DATA FORMAT
-function tradesToCandles(trades, timeframeSeconds) {
-    if (!trades || trades.length === 0) return [];
-
-    const timeframeMs = timeframeSeconds * 1000;
-
-    // Sort trades by timestamp to ensure chronological processing
-    const sortedTrades = [...trades].sort((a, b) => a[0] - b[0]);
-
-    // First pass: create candles only for periods with trades (original logic)
-    const candleMap = new Map();
-
-    for (const [timestamp, price, volume] of sortedTrades) {
-        const candleTime = Math.floor(timestamp / timeframeMs) * timeframeMs;
-
-        if (!candleMap.has(candleTime)) {
-            candleMap.set(candleTime, {
-                timestamp: candleTime,
-                open: price,
-                high: price,
-                low: price,
-                close: price,
-                volume: volume
-            });
-        } else {
-            const candle = candleMap.get(candleTime);
-            candle.high = Math.max(candle.high, price);
-            candle.low = Math.min(candle.low, price);
-            candle.close = price;
-            candle.volume += volume;
-        }
-    }
-
-    // Convert to array and sort by timestamp
-    const candlesWithTrades = Array.from(candleMap.values()).sort((a, b) => a.timestamp - b.timestamp);
-
-    if (candlesWithTrades.length === 0) return [];
-
-    // Get the full time range
-    const firstTimestamp = candlesWithTrades[0].timestamp;
-    const lastTimestamp = candlesWithTrades[candlesWithTrades.length - 1].timestamp;
-
-    // Second pass: fill in empty candles with carry-forward logic
-    const allCandles = [];
-    let currentIndex = 0;
-    let currentTime = firstTimestamp;
-    let lastClose = null;
-
-    while (currentTime <= lastTimestamp) {
-        const existingCandle = candlesWithTrades[currentIndex];
-
-        if (existingCandle && existingCandle.timestamp === currentTime) {
-            // This time period has trades - use the existing candle
-            allCandles.push(existingCandle);
-            lastClose = existingCandle.close;
-            currentIndex++;
-        } else {
-            // Empty candle - fill with carry-forward from last known close
-            if (lastClose !== null) {
-                allCandles.push({
-                    timestamp: currentTime,
-                    open: lastClose,
-                    high: lastClose,
-                    low: lastClose,
-                    close: lastClose,
-                    volume: 0
-                });
-            } else {
-                // Edge case: first candle is empty (shouldn't happen with real data)
-                allCandles.push({
-                    timestamp: currentTime,
-                    open: 0,
-                    high: 0,
-                    low: 0,
-                    close: 0,
-                    volume: 0
-                });
-            }
-        }
-
-        currentTime += timeframeMs;
-    }
-
-    return allCandles;
+const CANDLE_TOOLTIP = [
+    { title: 'time', value: '{time}' },
+    { title: 'open', value: '{open}' },
+    { title: 'high', value: '{high}' },
+    { title: 'low', value: '{low}' },
+    { title: 'close', value: '{close}' },
+    { title: 'volume', value: '{volume}' }
+];
+
+// klinecharts reads null prices as 0. Empty candles get a NaN body it skips and a high / low
+// that never widen the price axis, so the period keeps its slot without a bar.
+function klineCandles(candles) {
+    return candles.map(c => c.close === null ? { ...c, open: NaN, high: -Infinity, low: Infinity, close: NaN } : c);
 }
 
+// Utility: Chart data back to the null prices of candles.js
+function storedCandles(dataList) {
+    return dataList.map(c => Number.isFinite(c.close) ? c : { ...c, open: null, high: null, low: null, close: null });
+}
 
 function renderChart(candles, assetA, assetB) {
     const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
@@ -201,17 +301,27 @@ function renderChart(candles, assetA, assetB) {
         2592000: 'monthly'
     } [timeframeSeconds] || timeframeSeconds + 's';
 
-    chart.applyNewData(candles);
+    // Heikin-Ashi, Renko and point & figure bars replace the time candles (charttypes.js)
+    const bars = chartTypeData(candles);
+    // Axis labels in the zone the days / weeks / months start in
+    chart.setTimezone(candleTimeZone);
+    chart.applyNewData(klineCandles(bars));
 
-    const priceRange = `${Math.min(...candles.map(c => c.low)).toFixed(8)} - ${Math.max(...candles.map(c => c.high)).toFixed(8)}`;
+    const priced = candles.filter(c => c.close !== null);
+    const priceRange = `${Math.min(...priced.map(c => c.low)).toFixed(8)} - ${Math.max(...priced.map(c => c.high)).toFixed(8)}`;
 
     document.getElementById('chart-info').innerHTML = `
-        <strong>${assetA}:${assetB}</strong> | ${candles.length} ${timeframeLabel} candles
+        <strong>${assetA}:${assetB}</strong> | ${candles.length} ${timeframeLabel} candles (${candleTimeZone})${chartBase ? ` as ${bars.length} bars: ${describeChartType()}` : ''}
     `
 }
 
+// Draw candles of the loaded pair titled with its symbols, e.g. "BTS:USD", after a load and after the invert toggle alike
+function renderPairChart(candles) {
+    renderChart(candles, objectCache[assetA].symbol, objectCache[assetB].symbol);
+}
+
 // Elasticsearch pagination wrapper - handles all the boilerplate
-async function queryElasticsearchWithPagination(queryBuilder, startMs, stopMs, maxTotalResults = 1000000) {
+async function queryElasticsearchWithPagination(queryBuilder, startMs, stopMs, maxTotalResults = ES_MAX_RESULTS) {
     const CHUNK_SIZE = 10000;
     let allResults = [];
     let lastSortValue = null;
@@ -293,15 +403,66 @@ function setupClickOutsideHandler(inputElement, suggestionsElement) {
     });
 }
 
-function checkVisibleRange() {
-    const timeframe = parseInt(document.getElementById('timeframe').value)
-    startTime -= 50 * 2 * timeframe * 1000
-    updateChart();
+// Utility: Clear klinecharts' load-more flag when a Load More ends without applyMoreData,
+// otherwise scrolling to the left edge never asks for older data again
+function releaseChartLoadMore() {
+    if (chart) chart.applyMoreData([], true);
+}
+
+// Load More: fetch only the window before the loaded range and prepend it, keeping zoom/scroll
+async function checkVisibleRange() {
+    if (!chart) return;
+    if (loadingCandles) {
+        releaseChartLoadMore();
+        return;
+    }
+
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const oldStart = startTime;
+    const newStart = alignToTimeframe(oldStart - 50 * 2 * timeframeSeconds * 1000, timeframeSeconds);
+
+    loadingCandles = true;
+    document.getElementById('load-more-btn').disabled = true;
+    setLoading(true, 'Fetching older data...', 0);
+
+    try {
+        // fetchCandles is provided by the page script (pools.js / books.js)
+        const olderCandles = await fetchCandles(newStart, oldStart - 1, timeframeSeconds);
+        if (!loadingCandles) { // cancelled
+            releaseChartLoadMore();
+            return;
+        }
+
+        const existing = chart.getDataList();
+
+        if (chartBase) {
+            await extendChartBase(olderCandles, newStart, oldStart - 1, timeframeSeconds);
+        } else if (existing.length === 0) {
+            chart.applyNewData(klineCandles(olderCandles));
+        } else {
+            chart.applyMoreData(klineCandles(bridgeCandles(olderCandles, existing[0].timestamp, timeframeSeconds, candleOptions.gaps)), true);
+        }
+
+        startTime = newStart;
+        setRangeStart(newStart);
+        // Reserves, fees, book depth, account, leaderboard and tape cover the new start too
+        // (updateRangePanels is provided by the page script)
+        await updateRangePanels(newStart, getEndTime(), timeframeSeconds);
+        syncUrlState(true);
+        updateProgress(100, 'Complete!');
+    } catch (error) {
+        console.error('Error loading older data:', error);
+        showError('Failed to load older data: ' + error.message);
+        releaseChartLoadMore();
+    } finally {
+        setLoading(false);
+        document.getElementById('load-more-btn').disabled = false;
+        loadingCandles = false;
+    }
 }
 
 function update(event, element) {
     if (event.key === 'Enter') {
-        startTime = parseInt(new Date().getTime() - (90 * 24 * 60 * 60 * 1000));
         updateChart();
         return;
     }
@@ -311,12 +472,21 @@ function update(event, element) {
 }
 
 function resetStartTime() {
-    startTime = parseInt(new Date().getTime() - (90 * 24 * 60 * 60 * 1000));
+    resetRange();
     updateChart();
     loadingCandles = false;
     return;
 }
 
+async function clearCache() {
+    try {
+        const removed = await clearHitCache();
+        showNotice(`Cleared ${removed} cached Elasticsearch hits`);
+    } catch (error) {
+        showError('Failed to clear cache: ' + error.message);
+    }
+}
+
 async function startup() {
     // Wait for search engine to initialize
     console.log("Waiting for index...")
@@ -333,7 +503,10 @@ async function startup() {
     setupEventListeners();
 
     initChart();
-    updateChart(); // Load default pool
+    initUrlState(); // Load the shared link, if any, or the default pool
 }
 
-startup();
+// The Plotly pages (both.html, overlay.html) load main.js for its helpers and run their own startup
+if (typeof klinecharts !== 'undefined') {
+    startup();
+}
@@ -0,0 +1,354 @@
+/*
+ * Historical order book reconstruction for books.html.
+ *
+ * Replays limit_order_create (1), fill_order (4) and limit_order_cancel (2) forward
+ * in time and snapshots the book at the close of every candle. Orders created
+ * before the replay window are unknown, so replay starts BOOK_REPLAY_LOOKBACK_MS
+ * before the chart to pick up most standing orders.
+ *
+ * The snapshots feed two klinecharts indicators: BOOK (best bid / ask / mid lines
+ * plus a depth heatmap on the candle pane) and SPREAD (percentage spread in its own pane).
+ */
+const BOOK_REPLAY_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+const BOOK_DEPTH_RANGE = 0.1; // Heatmap covers mid +/- 10%
+const BOOK_DEPTH_LEVELS = 40;
+const CANCEL_QUERY_CHUNK = 10000; // Order IDs per terms query
+
+// candle timestamp -> { bid, ask, mid, spread, levels: [{ low, high, bids, asks }] }
+let bookSnapshots = new Map();
+let bookOverlayPaneIds = null;
+
+// Query builder for cancellations of known orders (cancel operations carry no asset IDs)
+function buildOrderCancelQuery(orderIds, startMs, stopMs, lastSortValue) {
+    const query = {
+        "track_total_hits": true,
+        "sort": [{ "block_data.block_time": { "order": "desc" } }],
+        "fields": [
+            { "field": "operation_history.op" },
+            { "field": "block_data.block_num" }
+        ],
+        "size": 10000,
+        "_source": false,
+        "query": {
+            "bool": {
+                "filter": [{
+                    "terms": { "operation_history.op_object.order.keyword": orderIds }
+                }, {
+                    "bool": {
+                        "should": [{ "match": { "operation_type": "2" } }],
+                        "minimum_should_match": 1
+                    }
+                }, {
+                    "range": {
+                        "block_data.block_time": {
+                            "format": "strict_date_optional_time",
+                            "gte": toIsoDate(startMs),
+                            "lte": toIsoDate(stopMs)
+                        }
+                    }
+                }]
+            }
+        }
+    };
+
+    if (lastSortValue) {
+        query["search_after"] = lastSortValue;
+    }
+
+    return query;
+}
+
+async function getOrderCancels(orderIds, startMs, stopMs) {
+    let hits = [];
+    for (let i = 0; i < orderIds.length; i += CANCEL_QUERY_CHUNK) {
+        const chunk = orderIds.slice(i, i + CANCEL_QUERY_CHUNK);
+        hits = hits.concat(await queryElasticsearchWithPagination(
+            (lastSort) => buildOrderCancelQuery(chunk, startMs, stopMs, lastSort),
+            startMs, stopMs
+        ));
+    }
+    return hits;
+}
+
+// Utility: Parse the operation JSON of a hit, null when missing
+function parseHitOperation(hit, field = 'operation_history.op') {
+    if (!hit.fields[field]) return null;
+    return JSON.parse(hit.fields[field][0].replace(/\\\//g, '/'));
+}
+
+/**
+ * Turn create / fill / cancel hits into one chronological event list
+ * Within a timestamp creates come first, then fills, then cancels.
+ */
+function parseOrderEvents(createHits, fillHits, cancelHits) {
+    const events = [];
+    const rank = { create: 0, fill: 1, cancel: 2 };
+
+    for (const hit of createHits) {
+        try {
+            const op = parseHitOperation(hit);
+            const result = parseHitOperation(hit, 'operation_history.operation_result.keyword');
+            if (!op || !result) continue;
+            events.push({
+                type: 'create',
+                timestamp: new Date(hit.sort[0]).getTime(),
+                orderId: result[1],
+                sell: op[1].amount_to_sell,
+                receive: op[1].min_to_receive,
+                expiration: new Date(op[1].expiration + 'Z').getTime()
+            });
+        } catch (error) {
+            console.warn('Error parsing order create:', error);
+        }
+    }
+
+    for (const hit of fillHits) {
+        try {
+            const op = parseHitOperation(hit);
+            if (!op) continue;
+            events.push({
+                type: 'fill',
+                timestamp: new Date(hit.sort[0]).getTime(),
+                orderId: op[1].order_id,
+                pays: parseFloat(op[1].pays.amount)
+            });
+        } catch (error) {
+            console.warn('Error parsing order fill:', error);
+        }
+    }
+
+    for (const hit of cancelHits) {
+        try {
+            const op = parseHitOperation(hit);
+            if (!op) continue;
+            events.push({
+                type: 'cancel',
+                timestamp: new Date(hit.sort[0]).getTime(),
+                orderId: op[1].order
+            });
+        } catch (error) {
+            console.warn('Error parsing order cancel:', error);
+        }
+    }
+
+    return events.sort((a, b) => a.timestamp - b.timestamp || rank[a.type] - rank[b.type]);
+}
+
+// Summarize the open orders at one instant, prices in assetA per asset B and sizes in asset B
+function snapshotOrderBook(orders, assetA, atMs) {
+    const bids = [];
+    const asks = [];
+
+    for (const [orderId, order] of orders) {
+        if (order.expiration <= atMs) {
+            orders.delete(orderId);
+            continue;
+        }
+        const forSale = order.forSale / 10 ** objectCache[order.sell.asset_id].precision;
+        if (order.sell.asset_id === assetA) {
+            // Selling A for B: a bid for B
+            bids.push({ price: order.price, size: forSale / order.price });
+        } else {
+            asks.push({ price: order.price, size: forSale });
+        }
+    }
+
+    if (!bids.length || !asks.length) return null;
+
+    const bid = Math.max(...bids.map(o => o.price));
+    const ask = Math.min(...asks.map(o => o.price));
+    const mid = (bid + ask) / 2;
+
+    // Depth heatmap cells around the mid-price
+    const low = mid * (1 - BOOK_DEPTH_RANGE);
+    const step = (mid * BOOK_DEPTH_RANGE * 2) / BOOK_DEPTH_LEVELS;
+    const levels = Array.from({ length: BOOK_DEPTH_LEVELS }, (_, i) => ({
+        low: low + i * step,
+        high: low + (i + 1) * step,
+        bids: 0,
+        asks: 0
+    }));
+    for (const [side, list] of [['bids', bids], ['asks', asks]]) {
+        for (const order of list) {
+            const index = Math.floor((order.price - low) / step);
+            if (index >= 0 && index < BOOK_DEPTH_LEVELS) {
+                levels[index][side] += order.size;
+            }
+        }
+    }
+
+    return { bid, ask, mid, spread: ((ask - bid) / mid) * 100, levels };
+}
+
+/**
+ * Replay order events and snapshot the book at the close of every candle
+ * @param {Object[]} events - from parseOrderEvents
+ * @param {Object[]} candles - chart candles, snapshots are keyed by their timestamps
+ * @param {string} assetA
+ * @param {number} timeframeSeconds
+ * @returns {Map<number, Object>}
+ */
+function replayOrderBook(events, candles, assetA, timeframeSeconds) {
+    const orders = new Map();
+    const snapshots = new Map();
+    let eventIndex = 0;
+
+    for (const candle of candles) {
+        const closeMs = nextCandleTime(candle.timestamp, timeframeSeconds);
+
+        while (eventIndex < events.length && events[eventIndex].timestamp < closeMs) {
+            const event = events[eventIndex++];
+
+            if (event.type === 'create') {
+                const sellPrec = 10 ** objectCache[event.sell.asset_id].precision;
+                const receivePrec = 10 ** objectCache[event.receive.asset_id].precision;
+                const sellAmount = parseFloat(event.sell.amount) / sellPrec;
+                const receiveAmount = parseFloat(event.receive.amount) / receivePrec;
+                if (sellAmount <= 0 || receiveAmount <= 0) continue;
+
+                orders.set(event.orderId, {
+                    sell: event.sell,
+                    forSale: parseFloat(event.sell.amount),
+                    expiration: event.expiration,
+                    price: event.sell.asset_id === assetA ? sellAmount / receiveAmount : receiveAmount / sellAmount
+                });
+            } else if (event.type === 'fill') {
+                const order = orders.get(event.orderId);
+                if (!order) continue; // created before the replay window
+                order.forSale -= event.pays;
+                if (order.forSale <= 0) orders.delete(event.orderId);
+            } else {
+                orders.delete(event.orderId);
+            }
+        }
+
+        const snapshot = snapshotOrderBook(orders, assetA, closeMs);
+        if (snapshot) snapshots.set(candle.timestamp, snapshot);
+    }
+
+    return snapshots;
+}
+
+// Register the BOOK and SPREAD indicators once klinecharts is available
+function registerBookIndicators() {
+    klinecharts.registerIndicator({
+        name: 'BOOK',
+        shortName: 'Book',
+        series: 'price',
+        figures: [
+            { key: 'bid', title: 'Bid: ', type: 'line' },
+            { key: 'ask', title: 'Ask: ', type: 'line' },
+            { key: 'mid', title: 'Mid: ', type: 'line' }
+        ],
+        calc: (dataList) => dataList.map(candle => {
+            const snapshot = bookSnapshots.get(candle.timestamp);
+            return snapshot ? { bid: snapshot.bid, ask: snapshot.ask, mid: snapshot.mid, levels: snapshot.levels } : {};
+        }),
+        // Depth heatmap, drawn before the bid / ask / mid lines
+        draw: ({ ctx, barSpace, visibleRange, indicator, xAxis, yAxis }) => {
+            const result = indicator.result;
+            let maxSize = 0;
+            for (let i = visibleRange.from; i < visibleRange.to; i++) {
+                for (const level of (result[i] && result[i].levels) || []) {
+                    maxSize = Math.max(maxSize, level.bids, level.asks);
+                }
+            }
+            if (maxSize === 0) return false;
+
+            for (let i = visibleRange.from; i < visibleRange.to; i++) {
+                const levels = result[i] && result[i].levels;
+                if (!levels) continue;
+                const x = xAxis.convertToPixel(i) - barSpace.halfGapBar;
+                for (const level of levels) {
+                    const yTop = yAxis.convertToPixel(level.high);
+                    const yBottom = yAxis.convertToPixel(level.low);
+                    if (level.bids > 0) {
+                        ctx.fillStyle = `rgba(48, 222, 36, ${0.05 + 0.45 * level.bids / maxSize})`;
+                        ctx.fillRect(x, yTop, barSpace.gapBar, yBottom - yTop);
+                    }
+                    if (level.asks > 0) {
+                        ctx.fillStyle = `rgba(255, 35, 31, ${0.05 + 0.45 * level.asks / maxSize})`;
+                        ctx.fillRect(x, yTop, barSpace.gapBar, yBottom - yTop);
+                    }
+                }
+            }
+            return false;
+        }
+    });
+
+    klinecharts.registerIndicator({
+        name: 'SPREAD',
+        shortName: 'Spread %',
+        precision: 4,
+        figures: [{ key: 'spread', title: 'Spread: ', type: 'line' }],
+        calc: (dataList) => dataList.map(candle => {
+            const snapshot = bookSnapshots.get(candle.timestamp);
+            return snapshot ? { spread: snapshot.spread } : {};
+        })
+    });
+}
+
+function removeBookOverlay() {
+    if (bookOverlayPaneIds && chart) {
+        chart.removeIndicator(bookOverlayPaneIds.book, 'BOOK');
+        chart.removeIndicator(bookOverlayPaneIds.spread, 'SPREAD');
+    }
+    bookOverlayPaneIds = null;
+    bookSnapshots = new Map();
+}
+
+/**
+ * Rebuild the book for the candles on the chart and (re)draw the overlay
+ * @param {string} assetA
+ * @param {string} assetB
+ * @param {Object[]} candles
+ * @param {number} startMs
+ * @param {number} stopMs
+ * @param {number} timeframeSeconds
+ */
+async function updateBookOverlay(assetA, assetB, candles, startMs, stopMs, timeframeSeconds) {
+    removeBookOverlay();
+    if (candles.length === 0) return;
+
+    const replayStart = startMs - BOOK_REPLAY_LOOKBACK_MS;
+
+    updateProgress(10, 'Querying order creates...');
+    const createHits = await getAssetPairSwaps(assetA, assetB, replayStart, stopMs);
+    updateProgress(40, 'Querying order fills...');
+    const fillHits = await getFillOrders(assetA, assetB, replayStart, stopMs);
+
+    const orderIds = [];
+    for (const hit of createHits) {
+        const result = parseHitOperation(hit, 'operation_history.operation_result.keyword');
+        if (result) orderIds.push(result[1]);
+    }
+    updateProgress(70, 'Querying order cancels...');
+    const cancelHits = await getOrderCancels(orderIds, replayStart, stopMs);
+
+    updateProgress(90, 'Replaying order book...');
+    const events = parseOrderEvents(createHits, fillHits, cancelHits);
+    bookSnapshots = replayOrderBook(events, candles, assetA, timeframeSeconds);
+
+    bookOverlayPaneIds = {
+        book: chart.createIndicator('BOOK', true, { id: 'candle_pane' }),
+        spread: chart.createIndicator('SPREAD', false)
+    };
+}
+
+// Invert toggle: the same books in the other orientation, level sizes converted at the level's price
+function invertBookOverlay() {
+    for (const [timestamp, snapshot] of bookSnapshots) {
+        const bid = 1 / snapshot.ask;
+        const ask = 1 / snapshot.bid;
+        const mid = (bid + ask) / 2;
+        const levels = snapshot.levels.map(level => {
+            const price = (level.low + level.high) / 2;
+            return { low: 1 / level.high, high: 1 / level.low, bids: level.asks * price, asks: level.bids * price };
+        });
+        bookSnapshots.set(timestamp, { bid, ask, mid, spread: ((ask - bid) / mid) * 100, levels: levels.reverse() });
+    }
+}
+
+if (typeof klinecharts !== 'undefined') {
+    registerBookIndicators();
+}
@@ -0,0 +1,367 @@
+/*
+ * Normalized multi-market overlay for overlay.html.
+ *
+ * Any list of pools and asset pairs is fetched with the pool / book candle functions,
+ * aligned with synchronizeMultipleCandles and rebased to the first price in the range,
+ * so markets with very different prices can be compared on one axis.
+ *
+ * Markets are separated by commas or spaces:
+ *   1.19.58          a pool, priced in its own asset order (asset_a per asset_b)
+ *   BTS:HONEST.USD   the order book of a pair, priced in the first asset per the second
+ *   pools:BTS        every pool that holds an asset
+ */
+const OVERLAY_COLORS = ['#049cce', '#ff00ff', '#30de24', '#ffb300', '#ff231f', '#00e5ff', '#b388ff', '#ff80ab', '#c6ff00', '#ffffff'];
+
+// Markets and their unsynchronized candles currently on the chart, kept for Load More
+let overlayData = null;
+
+/**
+ * Resolve the market list into pools and pairs
+ * @param {string} text - contents of the markets input
+ * @returns {Promise<Object[]>} [{ kind: 'pool' | 'pair', poolId, assetA, assetB, label }]
+ */
+async function resolveMarkets(text) {
+    const tokens = text.split(/[\s,]+/).map(token => token.trim().toUpperCase()).filter(token => token);
+    const markets = [];
+    const addPool = (poolId) => {
+        const pool = objectCache[poolId];
+        if (markets.some(m => m.poolId === poolId)) return;
+        markets.push({
+            kind: 'pool',
+            poolId,
+            assetA: pool.asset_a,
+            assetB: pool.asset_b,
+            label: `Pool ${poolId} ${objectCache[pool.asset_a].symbol}:${objectCache[pool.asset_b].symbol}`
+        });
+    };
+
+    for (const token of tokens) {
+        if (/^1\.19\.\d+$/.test(token)) {
+            if (!objectCache[token]) {
+                const pools = await rpc.getObjects([token]);
+                if (!pools[token]) throw new Error(`Unknown pool: ${token}`);
+                objectCache[token] = pools[token];
+            }
+            addPool(token);
+        } else if (token.startsWith('POOLS:')) {
+            const symbol = token.slice('POOLS:'.length);
+            const asset = (await rpc.getObjectsByName([symbol]))[symbol];
+            if (!asset) throw new Error(`Unknown asset: ${symbol}`);
+            const poolIds = Object.keys(objectCache)
+                .filter(id => id.startsWith('1.19.') && (objectCache[id].asset_a === asset.id || objectCache[id].asset_b === asset.id))
+                .sort((a, b) => parseInt(a.split('.')[2]) - parseInt(b.split('.')[2]));
+            if (!poolIds.length) throw new Error(`No pools hold ${symbol}`);
+            poolIds.forEach(addPool);
+        } else if (token.includes(':')) {
+            const [symbolA, symbolB] = token.split(':');
+            const objects = await rpc.getObjectsByName([symbolA, symbolB]);
+            if (!objects[symbolA] || !objects[symbolB]) throw new Error(`Unknown pair: ${token}`);
+            markets.push({
+                kind: 'pair',
+                poolId: null,
+                assetA: objects[symbolA].id,
+                assetB: objects[symbolB].id,
+                label: `${symbolA}:${symbolB} book`
+            });
+        } else {
+            throw new Error(`Not a pool id, pair or pools:ASSET entry: ${token}`);
+        }
+    }
+
+    return markets;
+}
+
+// Candles of every market for one time window, in market order
+async function fetchOverlayCandles(markets, startMs, stopMs, timeframeSeconds) {
+    const results = [];
+    for (const [index, market] of markets.entries()) {
+        updateProgress((index / markets.length) * 90, `Querying ${market.label}...`);
+        results.push(market.kind === 'pool'
+            ? await getPoolCandles(market.poolId, market.assetA, startMs, stopMs, timeframeSeconds, null, null, candleOptions)
+            : await getAssetPairCandles(market.assetA, market.assetB, startMs, stopMs, timeframeSeconds, 'offers', null, null, candleOptions));
+    }
+    return results;
+}
+
+/**
+ * Performance of one synchronized series against its first price
+ * @param {Object[]} candles
+ * @returns {Object|null} { base, last, change, high, low, drawdown } changes in percent, null without prices
+ */
+function seriesPerformance(candles) {
+    const closes = candles.map(c => c.close).filter(close => close > 0);
+    if (!closes.length) return null;
+
+    const base = closes[0];
+    let peak = base;
+    let drawdown = 0;
+    for (const close of closes) {
+        peak = Math.max(peak, close);
+        drawdown = Math.min(drawdown, (close / peak - 1) * 100);
+    }
+
+    return {
+        base,
+        last: closes[closes.length - 1],
+        change: (closes[closes.length - 1] / base - 1) * 100,
+        high: (Math.max(...candles.map(c => c.high).filter(high => high > 0)) / base - 1) * 100,
+        low: (Math.min(...candles.map(c => c.low).filter(low => low > 0)) / base - 1) * 100,
+        drawdown
+    };
+}
+
+// Synchronize the stored candles and draw them rebased
+function renderOverlayData() {
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const logScale = document.getElementById('overlay-scale').value === 'log';
+    const synced = synchronizeMultipleCandles(overlayData.candles, timeframeSeconds, candleOptions.gaps);
+
+    const traces = [];
+    const rows = [];
+    overlayData.markets.forEach((market, index) => {
+        const candles = synced[index];
+        const performance = seriesPerformance(candles);
+        const color = OVERLAY_COLORS[index % OVERLAY_COLORS.length];
+        rows.push({ market, performance, color });
+        if (!performance) return;
+
+        // Percent change on a linear axis, or the price ratio on a log axis
+        const values = candles.map(c => c.close > 0
+            ? (logScale ? c.close / performance.base : (c.close / performance.base - 1) * 100)
+            : null);
+
+        traces.push({
+            x: candles.map(c => formatZonedTime(c.timestamp)),
+            y: values,
+            mode: 'lines',
+            name: market.label,
+            connectgaps: false,
+            line: { color, width: 2 },
+            customdata: candles.map(c => c.close),
+            hovertemplate: logScale
+                ? `%{x}<br>${market.label}: ×%{y:.4f} (%{customdata:.8f})<extra></extra>`
+                : `%{x}<br>${market.label}: %{y:.2f}% (%{customdata:.8f})<extra></extra>`
+        });
+    });
+
+    const layout = {
+        title: {
+            text: `${overlayData.markets.length} markets rebased to the start of the range`,
+            font: { color: '#ffffff', size: 18 }
+        },
+        xaxis: {
+            title: `Date (${candleTimeZone})`,
+            color: '#cccccc',
+            gridcolor: '#333333',
+            zerolinecolor: '#333333'
+        },
+        yaxis: logScale
+            ? { title: 'Price / start price', type: 'log', color: '#cccccc', gridcolor: '#333333' }
+            : { title: 'Change', ticksuffix: '%', color: '#cccccc', gridcolor: '#333333', zerolinecolor: '#666666' },
+        paper_bgcolor: '#1a1a1a',
+        plot_bgcolor: '#1a1a1a',
+        font: { color: '#cccccc' },
+        showlegend: false,
+        hovermode: 'x unified',
+        // Keeps the user's zoom when Load More redraws the same markets and timeframe
+        uirevision: `${overlayData.markets.map(m => m.label).join(',')}:${timeframeSeconds}:${logScale}`
+    };
+
+    Plotly.react('plotly-chart', traces, layout, { responsive: true, displayModeBar: true, modeBarButtonsToRemove: ['lasso2d', 'select2d'] });
+
+    const percent = (value) => `<span class="${value >= 0 ? 'positive' : 'negative'}">${value.toFixed(2)}%</span>`;
+    document.getElementById('pool-legend').innerHTML = rows.map(({ market, color }) => `
+        <div class="legend-item">
+            <div class="legend-color" style="background: ${color}"></div>
+            <span>${market.label}</span>
+        </div>
+    `).join('');
+
+    document.getElementById('chart-info').innerHTML = `
+        <strong>Performance</strong> | ${synced[0] ? synced[0].length : 0} candles from the first price in the range
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Market</th>
+                    <th>Start</th>
+                    <th>End</th>
+                    <th>Change</th>
+                    <th>High</th>
+                    <th>Low</th>
+                    <th>Max drawdown</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(({ market, performance }) => performance ? `
+                    <tr>
+                        <td>${market.label}</td>
+                        <td>${performance.base.toFixed(8)}</td>
+                        <td>${performance.last.toFixed(8)}</td>
+                        <td>${percent(performance.change)}</td>
+                        <td>${percent(performance.high)}</td>
+                        <td>${percent(performance.low)}</td>
+                        <td>${percent(performance.drawdown)}</td>
+                    </tr>
+                ` : `
+                    <tr><td>${market.label}</td><td colspan="6">no trades in the range</td></tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function updateChart() {
+    loadingCandles = true;
+    document.getElementById('update-btn').disabled = true;
+    setLoading(true, 'Resolving markets...', 0);
+
+    try {
+        let markets;
+        try {
+            markets = await resolveMarkets(document.getElementById('markets').value);
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+        if (!markets.length) {
+            showError('Please enter at least one pool or pair');
+            return;
+        }
+
+        // "All history" starts at the oldest operation of any market
+        const findHistoryStart = async () => {
+            const starts = await Promise.all(markets.map(m => m.kind === 'pool'
+                ? findPoolHistoryStart(m.poolId)
+                : findPairHistoryStart(m.assetA, m.assetB)));
+            const known = starts.filter(start => start !== null);
+            return known.length ? Math.min(...known) : null;
+        };
+        applyCandleOptions();
+        if (!(await resolveRange(findHistoryStart))) return;
+
+        const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+        const stopMs = getEndTime();
+        // Start on a candle boundary so Load More slices line up with the loaded candles
+        startTime = alignToTimeframe(startTime, timeframeSeconds);
+        syncUrlState();
+
+        const candles = await fetchOverlayCandles(markets, startTime, stopMs, timeframeSeconds);
+        overlayData = { markets, candles };
+
+        updateProgress(95, 'Rendering overlay chart...');
+        renderOverlayData();
+        updateProgress(100, 'Complete!');
+    } catch (error) {
+        console.error('Error updating chart:', error);
+        showError('Failed to load data: ' + error.message);
+    } finally {
+        setLoading(false);
+        document.getElementById('update-btn').disabled = false;
+        loadingCandles = false;
+    }
+}
+
+// Load More: fetch only the window before the loaded range and prepend it, keeping the zoom
+async function checkVisibleRange() {
+    if (loadingCandles || !overlayData) return;
+
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const oldStart = startTime;
+    const newStart = alignToTimeframe(oldStart - 50 * 2 * timeframeSeconds * 1000, timeframeSeconds);
+
+    loadingCandles = true;
+    document.getElementById('load-more-btn').disabled = true;
+    setLoading(true, 'Fetching older data...', 0);
+
+    try {
+        const older = await fetchOverlayCandles(overlayData.markets, newStart, oldStart - 1, timeframeSeconds);
+        if (!loadingCandles) return; // cancelled
+
+        overlayData.candles = overlayData.candles.map((candles, i) => candles.length
+            ? bridgeCandles(older[i], candles[0].timestamp, timeframeSeconds, candleOptions.gaps).concat(candles)
+            : older[i]);
+
+        startTime = newStart;
+        setRangeStart(newStart);
+        syncUrlState(true);
+        renderOverlayData();
+        updateProgress(100, 'Complete!');
+    } catch (error) {
+        console.error('Error loading older data:', error);
+        showError('Failed to load older data: ' + error.message);
+    } finally {
+        setLoading(false);
+        document.getElementById('load-more-btn').disabled = false;
+        loadingCandles = false;
+    }
+}
+
+// Export hook: the synchronized candles of every market side by side, or the trades of each market
+async function collectExportData(dataset) {
+    if (!overlayData) return { rows: [] };
+
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const stopMs = getEndTime();
+    const metadata = {
+        source: 'overlay',
+        series: overlayData.markets.map(m => ({
+            label: m.label,
+            price: `${objectCache[m.assetA].symbol} per ${objectCache[m.assetB].symbol}`
+        })),
+        timeframe_seconds: timeframeSeconds,
+        range_start: new Date(startTime).toISOString(),
+        range_end: new Date(stopMs).toISOString(),
+        exported_at: new Date().toISOString()
+    };
+
+    if (dataset === 'candles') {
+        const synced = synchronizeMultipleCandles(overlayData.candles, timeframeSeconds, candleOptions.gaps);
+        const columns = overlayData.markets.flatMap((m, i) => {
+            const base = (seriesPerformance(synced[i]) || { base: 0 }).base;
+            return candleExportColumns(`${m.label} `, priceDecimals(m.assetA, m.assetB), objectCache[m.assetB].precision, row => synced[i][row.index])
+                .concat({ title: `${m.label} change %`, value: row => base > 0 && synced[i][row.index].close > 0 ? (synced[i][row.index].close / base - 1) * 100 : null, decimals: 4 });
+        });
+        const rows = (synced[0] || []).map((candle, index) => ({ timestamp: candle.timestamp, index }));
+        return { name: 'overlay', metadata, columns, rows };
+    }
+
+    const rows = [];
+    for (const m of overlayData.markets) {
+        const { trades } = m.kind === 'pool'
+            ? await processHits('pool', await getPoolSwaps(m.poolId, startTime, stopMs), m.assetA, timeframeSeconds, [m.assetA, m.assetB])
+            : await processHits('book', await getAssetPairSwaps(m.assetA, m.assetB, startTime, stopMs), m.assetA, timeframeSeconds, [m.assetA, m.assetB]);
+        rows.push(...tradesToExportRows(trades, m.assetA, m.assetB).map(t => ({ ...t, series: m.label })));
+    }
+
+    // One price column wide enough for the most precise market, one amount column per asset
+    const pricePlaces = Math.max(...overlayData.markets.map(m => priceDecimals(m.assetA, m.assetB)));
+    const assetIds = [...new Set(overlayData.markets.flatMap(m => [m.assetA, m.assetB]))];
+    const columns = [{ title: 'series', value: t => t.series }].concat(tradeExportColumns(pricePlaces, assetIds));
+    return { name: 'overlay', metadata, columns, rows: rows.sort((a, b) => a.timestamp - b.timestamp) };
+}
+
+function setupEventListeners() {
+    const markets = document.getElementById('markets');
+    markets.addEventListener('keyup', e => {
+        if (e.key === 'Enter') updateChart();
+    });
+
+    // The scale only changes how the loaded candles are drawn
+    document.getElementById('overlay-scale').addEventListener('change', () => {
+        if (overlayData && !loadingCandles) renderOverlayData();
+    });
+}
+
+async function startup() {
+    console.log("Waiting for index...");
+    while (!assetList.length) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    console.log("Index initialized.");
+
+    document.getElementById('update-btn').addEventListener('click', updateChart);
+    setupEventListeners();
+    initUrlState();
+}
+
+startup();
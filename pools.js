@@ -1,5 +1,5 @@
-// Query builder for pool swaps (AMM)
-function buildPoolQuery(poolId, startMs, stopMs, lastSortValue) {
+// Query builder for pool operations (AMM), swaps (63) unless other operation types are given
+function buildPoolQuery(poolId, startMs, stopMs, lastSortValue, operationTypes = [63]) {
     const query = {
         "track_total_hits": true,
         "sort": [{ "block_data.block_time": { "order": "desc" } }],
@@ -23,7 +23,7 @@ function buildPoolQuery(poolId, startMs, stopMs, lastSortValue) {
                             }
                         }, {
                             "bool": {
-                                "should": [{ "match": { "operation_type": "63" } }],
+                                "should": operationTypes.map(type => ({ "match": { "operation_type": String(type) } })),
                                 "minimum_should_match": 1
                             }
                         }]
@@ -48,10 +48,13 @@ function buildPoolQuery(poolId, startMs, stopMs, lastSortValue) {
     return query;
 }
 
-async function getPoolSwaps(poolId, startMs, stopMs) {
-    return queryElasticsearchWithPagination(
-        (lastSort) => buildPoolQuery(poolId, startMs, stopMs, lastSort),
-        startMs, stopMs
+// requireComplete: throw when the range has more swaps than one query returns (see queryWithHitCache)
+async function getPoolSwaps(poolId, startMs, stopMs, requireComplete = false) {
+    return queryWithHitCache(
+        `pool:${poolId}`,
+        (start, stop, lastSort) => buildPoolQuery(poolId, start, stop, lastSort),
+        startMs, stopMs,
+        requireComplete
     );
 }
 
@@ -75,13 +78,13 @@ function parsePoolTrades(hits, assetA) {
                 const paidAmount = parseFloat(opResult.paid[0].amount) / paidPrec;
                 const receivedAmount = parseFloat(opResult.received[0].amount) / recvPrec;
                 if (paidAmount > 0 && receivedAmount > 0) {
-                    let price;
+                    // [timestamp, price in A per B, volume in B, volume in A, account ids] whichever side was paid
+                    const accounts = fields['account_history.account.keyword'] || [];
                     if (opResult.paid[0].asset_id === assetA) {
-                        price = paidAmount / receivedAmount;
+                        trades.push([timestamp, paidAmount / receivedAmount, receivedAmount, paidAmount, accounts]);
                     } else {
-                        price = receivedAmount / paidAmount;
+                        trades.push([timestamp, receivedAmount / paidAmount, paidAmount, receivedAmount, accounts]);
                     }
-                    trades.push([timestamp, price, receivedAmount / recvPrec]);
                 }
             }
         } catch (error) {
@@ -91,6 +94,144 @@ function parsePoolTrades(hits, assetA) {
     return trades;
 }
 
+// Where the aggregation path finds the swap amounts (see aggregations.js)
+const POOL_AGGREGATION_SPEC = {
+    field: 'operation_history.operation_result.keyword',
+    paidKey: 'paid',
+    receivedKey: 'received'
+};
+
+// Candles for a pool: one aggregation request for long timeframes, raw swaps otherwise.
+// With an account only that account's swaps are used, which needs the raw hits.
+// options: gap policy and seed, see DEFAULT_CANDLE_OPTIONS
+async function getPoolCandles(poolId, assetA, startMs, stopMs, timeframeSeconds, account = null, filter = null, options = DEFAULT_CANDLE_OPTIONS) {
+    const pool = objectCache[poolId];
+    let candles = null;
+
+    // Filtering works on single trades, so it needs the raw hits too
+    if (timeframeSeconds >= AGGREGATION_MIN_TIMEFRAME && !account && !filter) {
+        candles = await queryAggregatedCandles(
+            buildPoolQuery(poolId, startMs, stopMs, null),
+            { ...POOL_AGGREGATION_SPEC, assetA, assets: [pool.asset_a, pool.asset_b] },
+            timeframeSeconds,
+            options.gaps
+        );
+    }
+
+    if (!candles) {
+        let hits = await getPoolSwaps(poolId, startMs, stopMs);
+        if (account) hits = filterHitsByAccount(hits, account);
+        let dropped;
+        ({ candles, dropped } = await processHits('pool', hits, assetA, timeframeSeconds, [pool.asset_a, pool.asset_b], filter, options.gaps));
+        if (dropped) recordDroppedTrades(dropped);
+    }
+
+    if (!options.seed) return candles;
+    return seedCandles(candles, await findPoolSeedPrice(poolId, assetA, startMs), startMs, timeframeSeconds, options.gaps);
+}
+
+// Price of the pool's last swap before startMs (by any account), null when there is none
+async function findPoolSeedPrice(poolId, assetA, startMs) {
+    const hits = await queryLatestHits(buildPoolQuery(poolId, 0, startMs - 1, null), 1);
+    const trades = parsePoolTrades(hits, assetA);
+    return trades.length ? trades[0][1] : null;
+}
+
+// First deposit, swap or withdrawal of a pool, for the "all history" range
+async function findPoolHistoryStart(poolId) {
+    return queryEarliestHitTime(buildPoolQuery(poolId, 0, new Date().getTime(), null, [61, 62, 63]));
+}
+
+// Live mode hook: swaps in a block for the pool currently on the chart
+function liveTradesFromBlock(block, blockNum) {
+    const hits = blockOperationHits(block, blockNum, 63, op =>
+        op.pool === poolId && (!accountFilter || op.account === accountFilter)
+    );
+    return filterLiveTrades(parsePoolTrades(hits, assetA));
+}
+
+// Invert toggle hook: flip the loaded pool chart without querying it again
+function invertLoadedPair() {
+    if (!chart || !chart.getDataList().length) return;
+    [assetA, assetB] = [assetB, assetA];
+    // The reserve ratio follows the new orientation, fee totals are recomputed from the inverted closes
+    labelReservePanes();
+    invertKlineChart();
+    showReserveSummary();
+    renderFeePanel(loadedCandles());
+}
+
+// Candles of the pool currently on the chart
+async function fetchCandles(startMs, stopMs, timeframeSeconds) {
+    const candles = await getPoolCandles(poolId, assetA, startMs, stopMs, timeframeSeconds, accountFilter, tradeFilter, candleOptions);
+    await loadVolumeRates(assetA, assetB, startMs, stopMs, timeframeSeconds);
+    return denominateVolume(candles);
+}
+
+// Trades of the pool currently on the chart, for trade exports and Renko / point & figure
+// hits: the swaps of the range when updateChart already has them
+async function fetchTrades(startMs, stopMs, timeframeSeconds, hits = null) {
+    if (!hits) hits = await getPoolSwaps(poolId, startMs, stopMs);
+    if (accountFilter) hits = filterHitsByAccount(hits, accountFilter);
+    const { trades } = await processHits('pool', hits, assetA, timeframeSeconds, [assetA, assetB], tradeFilter);
+    return trades;
+}
+
+let loadedPool = null; // pool object of the last load, for the panels
+
+// Panels over the loaded range, drawn by updateChart and again after Load More moves the start
+// rangeSwaps: the swaps of the range when updateChart already reads them
+async function updateRangePanels(startMs, stopMs, timeframeSeconds, rangeSwaps = null) {
+    if (!rangeSwaps) {
+        let swapHits = null;
+        rangeSwaps = () => swapHits || (swapHits = getPoolSwaps(poolId, startMs, stopMs));
+    }
+    const pool = loadedPool;
+    const candles = loadedCandles();
+
+    const reserveMode = document.getElementById('pool-reserves').value;
+    if (reserveMode !== 'off') {
+        setLoading(true, 'Replaying pool reserves...', 0);
+        try {
+            await updateReserveOverlay(pool, candles, timeframeSeconds, reserveMode);
+        } catch (error) {
+            removeReserveOverlay();
+            showError('Failed to replay pool reserves: ' + error.message);
+        }
+    } else {
+        removeReserveOverlay();
+    }
+
+    if (document.getElementById('pool-fees').value === 'on') {
+        setLoading(true, 'Computing fee revenue...', 0);
+        updateFeePanel(pool, candles, await rangeSwaps(), startMs, stopMs, timeframeSeconds);
+    } else {
+        removeFeePanel();
+    }
+
+    if (accountFilter) {
+        setLoading(true, 'Collecting account trades...', 0);
+        updateAccountOverlay(await rangeSwaps(), 'pool', assetA, assetB, timeframeSeconds);
+    } else {
+        removeAccountOverlay();
+    }
+
+    if (document.getElementById('leaderboard').value === 'on') {
+        setLoading(true, 'Ranking traders...', 0);
+        await updateLeaderboard(await rangeSwaps(), 'pool', assetA, assetB, timeframeSeconds);
+    } else {
+        removeLeaderboard();
+    }
+
+    if (document.getElementById('trade-tape').value === 'on') {
+        let hits = await rangeSwaps();
+        if (accountFilter) hits = filterHitsByAccount(hits, accountFilter);
+        updateTradeTape(hits, 'pool', assetA);
+    } else {
+        removeTradeTape();
+    }
+}
+
 async function updateChart() {
     loadingCandles = true;
 
@@ -113,17 +254,39 @@ async function updateChart() {
             showError(`Invalid pool ID: ${poolId}`);
             return;
         }
+        if (pairInverted()) [assetA, assetB] = [assetB, assetA];
+
+        loadIndicatorLayout('pool:' + poolId);
+
+        // The time zone decides where the range start snaps to
+        applyCandleOptions();
+        if (!(await resolveRange(() => findPoolHistoryStart(poolId)))) return;
 
         const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
-        const now = new Date().getTime();
+        const stopMs = getEndTime();
+        // Start on a candle boundary so Load More slices line up with the loaded candles
+        startTime = alignToTimeframe(startTime, timeframeSeconds);
+        syncUrlState();
+
+        if (!(await applyAccountFilter()) || !(await applyTradeFilter())) return;
 
         updateProgress(0, 'Querying Elasticsearch...');
 
-        const hits = await getPoolSwaps(poolId, startTime, now);
-        const trades = parsePoolTrades(hits, assetA);
-        const candles = tradesToCandles(trades, timeframeSeconds);
+        // Swaps of the range, read once for every panel that lists or counts them
+        let swapHits = null;
+        const rangeSwaps = () => swapHits || (swapHits = getPoolSwaps(poolId, startTime, stopMs));
+
+        const candles = await fetchCandles(startTime, stopMs, timeframeSeconds);
+        resumeLiveFrom(stopMs);
+        await prepareChartType(startTime, stopMs, timeframeSeconds, rangeSwaps);
+
+        loadedPool = poolData[poolId];
+        renderPairChart(candles);
+        labelVolumePane();
+        updateVwapOverlay();
+
+        await updateRangePanels(startTime, stopMs, timeframeSeconds, rangeSwaps);
 
-        renderChart(candles, objectCache[assetA].symbol, objectCache[assetB].symbol, poolId);
         updateProgress(100, 'Complete!');
     } finally {
         setLoading(false);
@@ -131,6 +294,25 @@ async function updateChart() {
     }
 }
 
+// Export hook: the candles on the chart, or the swaps of the loaded range
+async function collectExportData(dataset) {
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    const stopMs = getEndTime();
+    const metadata = exportMetadata(assetA, assetB, `pool ${poolId}`, startTime, stopMs);
+    if (accountFilter) metadata.account = `${accountName} (${accountFilter})`;
+    const pricePlaces = priceDecimals(assetA, assetB);
+
+    if (dataset === 'candles') {
+        metadata.volume_asset = objectCache[volumeDenomination.assetId].symbol;
+        metadata.chart_type = describeChartType();
+        const columns = candleExportColumns('', pricePlaces, volumePrecision())
+            .concat({ title: 'vwap', value: candleVwap, decimals: pricePlaces });
+        return { name: poolId, metadata, columns, rows: chart.getDataList() };
+    }
+
+    const trades = await fetchTrades(startTime, stopMs, timeframeSeconds);
+    return { name: poolId, metadata, columns: tradeExportColumns(pricePlaces, [assetA, assetB]), rows: tradesToExportRows(trades, assetA, assetB) };
+}
 
 function updateSuggestions(element) {
     let suggestions = searchForPool(element.value);
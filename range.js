@@ -0,0 +1,94 @@
+/*
+ * Date range picker shared by every page.
+ *
+ * A preset (last N days, year to date, all history) or a custom start / end sets
+ * startTime and endTime before each load. Load More moves the start back and
+ * switches the picker to "custom" so the extended range is kept.
+ */
+const RANGE_PRESET_DAYS = { '24h': 1, '7d': 7, '30d': 30, '90d': 90, '180d': 180, '1y': 365 };
+const RANGE_DEFAULT_PRESET = '90d';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Utility: ms -> value of a datetime-local input (local time, minutes)
+function toDateTimeLocal(ms) {
+    const date = new Date(ms);
+    return new Date(ms - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+// Utility: datetime-local input -> ms, null when empty or invalid
+function fromDateTimeLocal(value) {
+    const ms = value ? new Date(value).getTime() : NaN;
+    return isNaN(ms) ? null : ms;
+}
+
+// Show the range in the inputs, an open end stays empty
+function showRange(startMs, endMs) {
+    document.getElementById('range-start').value = toDateTimeLocal(startMs);
+    document.getElementById('range-end').value = endMs === null ? '' : toDateTimeLocal(endMs);
+}
+
+/**
+ * Set startTime / endTime from the picker, called by updateChart once the pool or pair is known
+ * @param {function(): Promise<number|null>} findHistoryStart - time of the first operation, for "all history"
+ * @returns {Promise<boolean>} false (after showing an error) when the range is invalid
+ */
+async function resolveRange(findHistoryStart) {
+    const preset = document.getElementById('range-preset').value;
+    const now = new Date().getTime();
+
+    if (preset === 'custom') {
+        const start = fromDateTimeLocal(document.getElementById('range-start').value);
+        const end = fromDateTimeLocal(document.getElementById('range-end').value);
+        if (start === null) {
+            showError('Please enter a start date');
+            return false;
+        }
+        if (start >= (end === null ? now : end)) {
+            showError('The start of the range must be before its end');
+            return false;
+        }
+        startTime = start;
+        endTime = end !== null && end < now ? end : null;
+    } else if (preset === 'ytd') {
+        // January 1st in the candle time zone, like the calendar candles
+        startTime = zonedMidnight(zonedParts(now).year, 1, 1);
+        endTime = null;
+    } else if (preset === 'all') {
+        updateProgress(0, 'Finding the start of the history...');
+        const first = await findHistoryStart();
+        startTime = first === null ? now - RANGE_PRESET_DAYS[RANGE_DEFAULT_PRESET] * MS_PER_DAY : first;
+        endTime = null;
+    } else {
+        startTime = now - RANGE_PRESET_DAYS[preset] * MS_PER_DAY;
+        endTime = null;
+    }
+
+    showRange(startTime, endTime);
+    return true;
+}
+
+// Load More: keep the extended start on the next Update
+function setRangeStart(startMs) {
+    document.getElementById('range-preset').value = 'custom';
+    showRange(startMs, endTime);
+}
+
+// Reset: back to the default preset
+function resetRange() {
+    document.getElementById('range-preset').value = RANGE_DEFAULT_PRESET;
+}
+
+// Editing a date switches to a custom range, choosing a preset shows its dates
+function setupRangeListeners() {
+    const preset = document.getElementById('range-preset');
+    const toCustom = () => { preset.value = 'custom'; };
+    document.getElementById('range-start').addEventListener('change', toCustom);
+    document.getElementById('range-end').addEventListener('change', toCustom);
+
+    preset.addEventListener('change', () => {
+        const days = RANGE_PRESET_DAYS[preset.value];
+        if (days) showRange(new Date().getTime() - days * MS_PER_DAY, null);
+    });
+}
+
+setupRangeListeners();
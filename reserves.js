@@ -0,0 +1,259 @@
+/*
+ * Pool reserve history for index.html.
+ *
+ * Replays liquidity_pool_deposit (61), liquidity_pool_withdraw (62) and
+ * liquidity_pool_exchange (63) results from the launch of liquidity pools into
+ * balance_a / balance_b / share supply at every candle close, then compares the
+ * replayed end state with the pool object on chain.
+ */
+const LIQUIDITY_POOLS_LAUNCH_MS = Date.UTC(2021, 0, 1); // No pool operations exist before this
+
+// candle timestamp -> { balanceA, balanceB, supply } in asset units
+let reserveSnapshots = new Map();
+let reservePaneIds = null;
+let reserveDenomination = 'a';
+let reservePool = null;
+let reserveRatioInverted = false; // ratio in the chart's orientation, see labelReservePanes
+let reserveSummary = ''; // replayed end state line under the chart, see showReserveSummary
+
+// Deposits and withdrawals, swaps come from the swap cache (getPoolSwaps).
+// A replay with missing operations would drift, so a range over the query limit is an error.
+async function getPoolLiquidityOperations(poolId, startMs, stopMs) {
+    const liquidityHits = await queryWithHitCache(
+        `poolliquidity:${poolId}`,
+        (start, stop, lastSort) => buildPoolQuery(poolId, start, stop, lastSort, [61, 62]),
+        startMs, stopMs,
+        true
+    );
+    return liquidityHits.concat(await getPoolSwaps(poolId, startMs, stopMs, true));
+}
+
+// Utility: Raw amount of one asset in a list of {amount, asset_id}
+function amountOf(amounts, assetId) {
+    const entry = amounts.find(a => a.asset_id === assetId);
+    return entry ? parseFloat(entry.amount) : 0;
+}
+
+/**
+ * Turn operation results into raw-unit reserve changes, oldest first
+ * The operation type is recognized from the generic_exchange_operation_result: deposits
+ * receive the share asset, withdrawals pay it, swaps pay and receive one pool asset each.
+ * A withdrawal can receive a single asset when the other side rounds to zero.
+ * @returns {Object[]} [{ timestamp, deltaA, deltaB, deltaShares }]
+ */
+function parsePoolLiquidityEvents(hits, pool) {
+    const events = [];
+
+    for (const hit of hits) {
+        try {
+            const fields = hit.fields;
+            if (!fields['operation_history.operation_result.keyword']) continue;
+
+            const result = JSON.parse(
+                fields['operation_history.operation_result.keyword'][0].replace(/\\\//g, '/')
+            )[1];
+            if (!result.paid || !result.received) continue;
+
+            const event = { timestamp: new Date(hit.sort[0]).getTime(), deltaA: 0, deltaB: 0, deltaShares: 0 };
+
+            if (result.received.some(a => a.asset_id === pool.share_asset)) {
+                // Deposit: both assets go in, shares are minted
+                event.deltaA = amountOf(result.paid, pool.asset_a);
+                event.deltaB = amountOf(result.paid, pool.asset_b);
+                event.deltaShares = amountOf(result.received, pool.share_asset);
+            } else if (result.paid[0] && result.paid[0].asset_id === pool.share_asset) {
+                // Withdraw: shares are burned, withdrawal fees stay in the pool
+                event.deltaA = -amountOf(result.received, pool.asset_a);
+                event.deltaB = -amountOf(result.received, pool.asset_b);
+                event.deltaShares = -amountOf(result.paid, pool.share_asset);
+            } else {
+                // Swap: fees are [maker market fee, taker market fee, pool taker fee].
+                // Market fees go to the asset issuers, the pool taker fee stays in the pool.
+                const fees = result.fees || [];
+                const sold = result.paid[0];
+                const bought = result.received[0];
+                const poolReceives = parseFloat(sold.amount) - (fees[0] ? parseFloat(fees[0].amount) : 0);
+                const poolPays = parseFloat(bought.amount) + (fees[1] ? parseFloat(fees[1].amount) : 0);
+                const delta = { [sold.asset_id]: poolReceives, [bought.asset_id]: -poolPays };
+                event.deltaA = delta[pool.asset_a] || 0;
+                event.deltaB = delta[pool.asset_b] || 0;
+            }
+
+            events.push(event);
+        } catch (error) {
+            console.warn('Error parsing pool operation:', error);
+        }
+    }
+
+    return events.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Replay reserve changes and snapshot them at the close of every candle
+ * @returns {{snapshots: Map<number, Object>, final: Object}} final is the state after every event, raw units
+ */
+function replayPoolReserves(events, candles, timeframeSeconds, precisions) {
+    const state = { balanceA: 0, balanceB: 0, supply: 0 };
+    const snapshots = new Map();
+    let eventIndex = 0;
+
+    const apply = (event) => {
+        state.balanceA += event.deltaA;
+        state.balanceB += event.deltaB;
+        state.supply += event.deltaShares;
+    };
+
+    for (const candle of candles) {
+        const closeMs = nextCandleTime(candle.timestamp, timeframeSeconds);
+        while (eventIndex < events.length && events[eventIndex].timestamp < closeMs) {
+            apply(events[eventIndex++]);
+        }
+        snapshots.set(candle.timestamp, {
+            balanceA: state.balanceA / 10 ** precisions.a,
+            balanceB: state.balanceB / 10 ** precisions.b,
+            supply: state.supply / 10 ** precisions.shares
+        });
+    }
+
+    while (eventIndex < events.length) {
+        apply(events[eventIndex++]);
+    }
+
+    return { snapshots, final: state };
+}
+
+// Register the TVL, RATIO and LP_PRICE indicators once klinecharts is available
+function registerReserveIndicators() {
+    const fromSnapshot = (compute) => (dataList) => dataList.map(candle => {
+        const snapshot = reserveSnapshots.get(candle.timestamp);
+        return snapshot && snapshot.balanceA > 0 && snapshot.balanceB > 0 ? compute(snapshot) : {};
+    });
+
+    // Constant product pool: both sides are worth the same, so TVL is twice one reserve
+    const tvl = (snapshot) => 2 * (reserveDenomination === 'a' ? snapshot.balanceA : snapshot.balanceB);
+
+    klinecharts.registerIndicator({
+        name: 'TVL',
+        shortName: 'TVL',
+        figures: [{ key: 'tvl', title: 'TVL: ', type: 'line' }],
+        calc: fromSnapshot(snapshot => ({ tvl: tvl(snapshot) }))
+    });
+
+    klinecharts.registerIndicator({
+        name: 'RATIO',
+        shortName: 'Reserve ratio A/B',
+        precision: 8,
+        figures: [{ key: 'ratio', title: 'Ratio: ', type: 'line' }],
+        calc: fromSnapshot(snapshot => ({
+            ratio: reserveRatioInverted ? snapshot.balanceB / snapshot.balanceA : snapshot.balanceA / snapshot.balanceB
+        }))
+    });
+
+    klinecharts.registerIndicator({
+        name: 'LP_PRICE',
+        shortName: 'LP share price',
+        precision: 8,
+        figures: [{ key: 'price', title: 'Price: ', type: 'line' }],
+        calc: fromSnapshot(snapshot => snapshot.supply > 0 ? { price: tvl(snapshot) / snapshot.supply } : {})
+    });
+}
+
+function removeReserveOverlay() {
+    if (reservePaneIds && chart) {
+        chart.removeIndicator(reservePaneIds.tvl, 'TVL');
+        chart.removeIndicator(reservePaneIds.ratio, 'RATIO');
+        chart.removeIndicator(reservePaneIds.price, 'LP_PRICE');
+    }
+    reservePaneIds = null;
+    reservePool = null;
+    reserveSummary = '';
+    reserveSnapshots = new Map();
+}
+
+// Append the replay check to the chart info, which renderChart rewrites
+function showReserveSummary() {
+    if (reserveSummary) document.getElementById('chart-info').innerHTML += reserveSummary;
+}
+
+// Follow the chart's orientation with the ratio pane and name the panes after their assets.
+// The invert toggle calls this before redrawing, so the ratio is recalculated with the new orientation.
+function labelReservePanes() {
+    if (!reservePaneIds) return;
+    reserveRatioInverted = assetA !== reservePool.asset_a;
+    const denominationSymbol = objectCache[reserveDenomination === 'a' ? reservePool.asset_a : reservePool.asset_b].symbol;
+    chart.overrideIndicator({ name: 'TVL', shortName: `TVL (${denominationSymbol})` }, reservePaneIds.tvl);
+    chart.overrideIndicator({ name: 'RATIO', shortName: `Reserve ratio ${objectCache[assetA].symbol}/${objectCache[assetB].symbol}` }, reservePaneIds.ratio);
+    chart.overrideIndicator({ name: 'LP_PRICE', shortName: `LP share price (${denominationSymbol})` }, reservePaneIds.price);
+}
+
+// Current share supply of the pool, null when it cannot be fetched
+async function getPoolShareSupply(pool) {
+    const shareAsset = (await rpc.getObjects([pool.share_asset]))[pool.share_asset];
+    if (!shareAsset) return null;
+    const dynamicData = (await rpc.getObjects([shareAsset.dynamic_asset_data_id]))[shareAsset.dynamic_asset_data_id];
+    return dynamicData ? parseFloat(dynamicData.current_supply) : null;
+}
+
+// Utility: Relative difference in percent, 0 when both are 0
+function percentDifference(replayed, onChain) {
+    if (onChain === 0) return replayed === 0 ? 0 : 100;
+    return Math.abs(replayed - onChain) / onChain * 100;
+}
+
+/**
+ * Replay the pool's reserves for the candles on the chart and draw the reserve panes
+ * @param {Object} pool - full pool object from rpc.getObjects
+ * @param {Object[]} candles
+ * @param {number} timeframeSeconds
+ * @param {'a'|'b'} denomination - asset TVL and LP share price are expressed in
+ */
+async function updateReserveOverlay(pool, candles, timeframeSeconds, denomination) {
+    removeReserveOverlay();
+    if (candles.length === 0) return;
+
+    reserveDenomination = denomination;
+    const now = new Date().getTime();
+
+    updateProgress(0, 'Querying pool deposits, withdrawals and swaps...');
+    const hits = await getPoolLiquidityOperations(pool.id, LIQUIDITY_POOLS_LAUNCH_MS, now);
+
+    updateProgress(90, 'Replaying pool reserves...');
+    const shareAsset = objectCache[pool.share_asset] || (await rpc.getObjects([pool.share_asset]))[pool.share_asset];
+    const precisions = {
+        a: objectCache[pool.asset_a].precision,
+        b: objectCache[pool.asset_b].precision,
+        shares: shareAsset.precision
+    };
+    const events = parsePoolLiquidityEvents(hits, pool);
+    const { snapshots, final } = replayPoolReserves(events, candles, timeframeSeconds, precisions);
+    reserveSnapshots = snapshots;
+    reservePool = pool;
+    reserveRatioInverted = assetA !== pool.asset_a;
+
+    reservePaneIds = {
+        tvl: chart.createIndicator('TVL', false),
+        ratio: chart.createIndicator('RATIO', false),
+        price: chart.createIndicator('LP_PRICE', false)
+    };
+    labelReservePanes();
+
+    // Check the replay against the pool object on chain
+    const supply = await getPoolShareSupply(pool);
+    const drift = Math.max(
+        percentDifference(final.balanceA, parseFloat(pool.balance_a)),
+        percentDifference(final.balanceB, parseFloat(pool.balance_b)),
+        supply === null ? 0 : percentDifference(final.supply, supply)
+    );
+    const symbolA = objectCache[pool.asset_a].symbol;
+    const symbolB = objectCache[pool.asset_b].symbol;
+    reserveSummary = `
+        <br>Reserves: ${(final.balanceA / 10 ** precisions.a).toFixed(precisions.a)} ${symbolA} /
+        ${(final.balanceB / 10 ** precisions.b).toFixed(precisions.b)} ${symbolB}
+        | ${drift < 0.01 ? 'matches the pool object' : `differs from the pool object by ${drift.toFixed(2)}%`}
+    `;
+    showReserveSummary();
+}
+
+if (typeof klinecharts !== 'undefined') {
+    registerReserveIndicators();
+}
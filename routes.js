@@ -0,0 +1,135 @@
+/*
+ * Synthetic pair prices through intermediate pools for both.html.
+ *
+ * When a pair has no direct pool, a route over the pool graph in objectCache
+ * (e.g. X -> BTS -> USD) is priced by multiplying the candles of each leg.
+ * Every leg is quoted as "previous asset per next asset", so the product is
+ * asset A per asset B like every other series on the page.
+ */
+const SYNTHETIC_MAX_HOPS = 3;
+const SYNTHETIC_COLOR = '#00e676';
+
+// Utility: asset id -> [{ poolId, other }] for every pool in objectCache
+function buildPoolGraph() {
+    const graph = new Map();
+    const link = (from, to, poolId) => {
+        if (!graph.has(from)) graph.set(from, []);
+        graph.get(from).push({ poolId, other: to });
+    };
+
+    for (const [id, pool] of Object.entries(objectCache)) {
+        if (!id.startsWith('1.19.')) continue;
+        link(pool.asset_a, pool.asset_b, id);
+        link(pool.asset_b, pool.asset_a, id);
+    }
+
+    return graph;
+}
+
+/**
+ * Find the asset paths from assetA to assetB with the fewest hops
+ * Paths through well connected assets (usually BTS) come first.
+ * @param {string} assetA
+ * @param {string} assetB
+ * @param {number} minHops - 2 to skip direct pools
+ * @returns {string[][]} asset id paths, including both ends
+ */
+function findAssetPaths(assetA, assetB, minHops = 1) {
+    const graph = buildPoolGraph();
+    const degree = (assetId) => new Set((graph.get(assetId) || []).map(e => e.other)).size;
+
+    for (let hops = minHops; hops <= SYNTHETIC_MAX_HOPS; hops++) {
+        const paths = [];
+        const walk = (path) => {
+            const last = path[path.length - 1];
+            if (path.length === hops) {
+                // Last hop only needs a pool into assetB
+                if ((graph.get(last) || []).some(e => e.other === assetB)) paths.push([...path, assetB]);
+                return;
+            }
+            const next = new Set((graph.get(last) || []).map(e => e.other));
+            for (const assetId of next) {
+                if (assetId === assetB || path.includes(assetId)) continue;
+                walk([...path, assetId]);
+            }
+        };
+        walk([assetA]);
+
+        if (paths.length) {
+            const score = (path) => path.slice(1, -1).reduce((sum, assetId) => sum + degree(assetId), 0);
+            return paths.sort((a, b) => score(b) - score(a));
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Pick the deepest pool for every leg of an asset path
+ * Pools of one leg share both assets, so their balances of the leg's input asset compare directly.
+ * @param {string[]} path - asset ids from findAssetPaths
+ * @returns {Promise<Object>} { legs: [{ poolId, from, to }], label }
+ */
+async function buildRoute(path) {
+    const legs = [];
+
+    for (let i = 0; i < path.length - 1; i++) {
+        const from = path[i];
+        const to = path[i + 1];
+        const candidates = findPoolsForPair(from, to);
+        let poolId = candidates[0];
+
+        if (candidates.length > 1) {
+            const pools = await rpc.getObjects(candidates);
+            const depth = (id) => {
+                const pool = pools[id];
+                if (!pool) return 0;
+                return parseFloat(pool.asset_a === from ? pool.balance_a : pool.balance_b);
+            };
+            poolId = candidates.reduce((best, id) => depth(id) > depth(best) ? id : best);
+        }
+
+        legs.push({ poolId, from, to });
+    }
+
+    return {
+        legs,
+        label: 'Synthetic ' + path.map(id => objectCache[id].symbol).join('→')
+    };
+}
+
+// Find the best multi-hop route for a pair, null when the pool graph has none
+async function findSyntheticRoute(assetA, assetB, minHops = 2) {
+    const paths = findAssetPaths(assetA, assetB, minHops);
+    return paths.length ? buildRoute(paths[0]) : null;
+}
+
+/**
+ * Candles of a route: every leg's pool candles, aligned in time and multiplied
+ * High and low multiply the legs' extremes, so they bound the synthetic range rather
+ * than being prices that actually traded. Volumes are in different assets per leg and are left at 0.
+ * @param {Object} route - from findSyntheticRoute
+ * @param {Object} [options] - gap policy and seed of every leg, see DEFAULT_CANDLE_OPTIONS
+ * @returns {Promise<Object[]>}
+ */
+async function getSyntheticCandles(route, startMs, stopMs, timeframeSeconds, options = DEFAULT_CANDLE_OPTIONS) {
+    const legCandles = await Promise.all(route.legs.map(leg =>
+        getPoolCandles(leg.poolId, leg.from, startMs, stopMs, timeframeSeconds, null, null, options)
+    ));
+    if (legCandles.some(candles => candles.length === 0)) return [];
+
+    const aligned = synchronizeMultipleCandles(legCandles, timeframeSeconds, options.gaps);
+    // A leg without a price in the period leaves the route without one
+    const product = (i, key) => aligned.reduce(
+        (value, candles) => value === null || candles[i][key] === null ? null : value * candles[i][key], 1
+    );
+
+    return aligned[0].map((candle, i) => ({
+        timestamp: candle.timestamp,
+        open: product(i, 'open'),
+        high: product(i, 'high'),
+        low: product(i, 'low'),
+        close: product(i, 'close'),
+        volume: 0
+    }));
+}
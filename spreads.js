@@ -0,0 +1,213 @@
+/*
+ * Pool vs order book spreads for both.html.
+ *
+ * Spreads are computed from the synchronized close prices: every pool against the
+ * order book, and every pool against every other pool. Windows where the absolute
+ * spread stays above the threshold are highlighted and summarized.
+ */
+const SPREAD_DEFAULT_THRESHOLD = 1; // percent
+const SPREAD_HIGHLIGHT_COLOR = 'rgba(255, 170, 0, 0.15)';
+
+// Utility: Percentage difference of a price from a reference, null when either is missing
+function percentSpread(price, reference) {
+    if (!(price > 0) || !(reference > 0)) return null;
+    return (price - reference) / reference * 100;
+}
+
+/**
+ * Build the spread series for the synchronized candles
+ * Pool prices are quoted in the pool's own asset order, so pools stored the other
+ * way round are inverted to the book's asset A first.
+ * @param {Object[]} poolResults - [{ label, candles, assetA }], synchronized with bookCandles
+ * @param {Object[]} bookCandles
+ * @param {string} assetA - asset A of the order book
+ * @param {string[]} poolColors
+ * @returns {Object[]} [{ name, color, dash, values }] with one value (or null) per candle
+ */
+function computeSpreadSeries(poolResults, bookCandles, assetA, poolColors) {
+    const closes = poolResults.map(result => result.candles.map(c =>
+        result.assetA === assetA || !(c.close > 0) ? c.close : 1 / c.close
+    ));
+    const series = [];
+
+    poolResults.forEach((result, i) => {
+        series.push({
+            name: `${result.label} vs Book`,
+            color: poolColors[i],
+            dash: 'solid',
+            values: closes[i].map((close, k) => percentSpread(close, bookCandles[k] && bookCandles[k].close))
+        });
+    });
+
+    for (let i = 0; i < poolResults.length; i++) {
+        for (let j = i + 1; j < poolResults.length; j++) {
+            series.push({
+                name: `${poolResults[i].label} vs ${poolResults[j].label}`,
+                color: poolColors[i],
+                dash: 'dot',
+                values: closes[i].map((close, k) => percentSpread(close, closes[j][k]))
+            });
+        }
+    }
+
+    return series;
+}
+
+/**
+ * Find runs of candles where |spread| is above the threshold
+ * @param {number[]} timestamps - candle open times in ms
+ * @param {(number|null)[]} values
+ * @param {number} threshold - percent
+ * @param {number} timeframeSeconds
+ * @returns {Object[]} [{ start, end, peak }], end is the close of the last candle in the run
+ */
+function findSpreadWindows(timestamps, values, threshold, timeframeSeconds) {
+    const windows = [];
+    let current = null;
+
+    values.forEach((value, i) => {
+        if (value !== null && Math.abs(value) > threshold) {
+            if (!current) {
+                current = { start: timestamps[i], end: nextCandleTime(timestamps[i], timeframeSeconds), peak: value };
+                windows.push(current);
+            }
+            current.end = nextCandleTime(timestamps[i], timeframeSeconds);
+            if (Math.abs(value) > Math.abs(current.peak)) current.peak = value;
+        } else {
+            current = null;
+        }
+    });
+
+    return windows;
+}
+
+// Merge overlapping windows of several series so each highlighted span is drawn once
+function mergeSpreadWindows(windows) {
+    const sorted = windows.map(w => ({ ...w })).sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const window of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && window.start <= last.end) {
+            last.end = Math.max(last.end, window.end);
+        } else {
+            merged.push(window);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Summarize one spread series: how often, how long and how far it diverged
+ * @returns {{ episodes: number, aboveCandles: number, validCandles: number, longestMs: number, peak: number|null, peakTime: number|null }}
+ */
+function summarizeSpread(timestamps, values, windows, threshold) {
+    let validCandles = 0;
+    let aboveCandles = 0;
+    let peak = null;
+    let peakTime = null;
+
+    values.forEach((value, i) => {
+        if (value === null) return;
+        validCandles++;
+        if (Math.abs(value) > threshold) aboveCandles++;
+        if (peak === null || Math.abs(value) > Math.abs(peak)) {
+            peak = value;
+            peakTime = timestamps[i];
+        }
+    });
+
+    const longestMs = windows.reduce((longest, w) => Math.max(longest, w.end - w.start), 0);
+
+    return { episodes: windows.length, aboveCandles, validCandles, longestMs, peak, peakTime };
+}
+
+// Utility: Human readable duration
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = minutes / 60;
+    if (hours < 48) return `${+hours.toFixed(1)}h`;
+    return `${+(hours / 24).toFixed(1)}d`;
+}
+
+/**
+ * Compute the spread traces, highlight shapes and summary for the comparison chart
+ * @param {Object[]} poolResults - synchronized pool results
+ * @param {Object[]} bookCandles - synchronized order book candles
+ * @param {string} assetA - asset A of the order book
+ * @param {string[]} poolColors
+ * @param {number} timeframeSeconds
+ * @param {number} threshold - percent
+ * @returns {{ traces: Object[], shapes: Object[], summaryHtml: string }}
+ */
+function buildSpreadAnalysis(poolResults, bookCandles, assetA, poolColors, timeframeSeconds, threshold) {
+    const timestamps = bookCandles.map(c => c.timestamp);
+    const series = computeSpreadSeries(poolResults, bookCandles, assetA, poolColors);
+    const traces = [];
+    const shapes = [];
+    const allWindows = [];
+    let summaryHtml = `<strong>Spreads above ±${threshold}%</strong>`;
+
+    for (const s of series) {
+        const windows = findSpreadWindows(timestamps, s.values, threshold, timeframeSeconds);
+        allWindows.push(...windows);
+
+        traces.push({
+            x: timestamps.map(formatZonedTime),
+            y: s.values,
+            yaxis: 'y2',
+            mode: 'lines',
+            name: s.name,
+            connectgaps: false,
+            line: { color: s.color, width: 1.5, dash: s.dash },
+            hovertemplate: '%{x}<br>' + s.name + ': %{y:.3f}%<extra></extra>'
+        });
+
+        const stats = summarizeSpread(timestamps, s.values, windows, threshold);
+        if (stats.validCandles === 0) {
+            summaryHtml += `<br>${s.name}: no overlapping prices`;
+            continue;
+        }
+        const share = (stats.aboveCandles / stats.validCandles) * 100;
+        summaryHtml += `<br>${s.name}: ${stats.episodes} episode(s), ${share.toFixed(1)}% of candles`
+            + ` | longest ${formatDuration(stats.longestMs)}`
+            + ` | largest ${stats.peak.toFixed(3)}% on ${formatZonedTime(stats.peakTime).slice(0, 16)}`;
+    }
+
+    for (const window of mergeSpreadWindows(allWindows)) {
+        shapes.push({
+            type: 'rect',
+            xref: 'x',
+            yref: 'paper',
+            x0: formatZonedTime(window.start),
+            x1: formatZonedTime(window.end),
+            y0: 0,
+            y1: 1,
+            fillcolor: SPREAD_HIGHLIGHT_COLOR,
+            line: { width: 0 },
+            layer: 'below'
+        });
+    }
+
+    // Threshold bands on the spread subplot
+    for (const level of [threshold, -threshold]) {
+        shapes.push({
+            type: 'line',
+            xref: 'paper',
+            yref: 'y2',
+            x0: 0,
+            x1: 1,
+            y0: level,
+            y1: level,
+            line: { color: '#ffaa00', width: 1, dash: 'dash' }
+        });
+    }
+
+    return { traces, shapes, summaryHtml };
+}
+
+// Utility: Threshold from the input, falling back to the default for empty or invalid values
+function getSpreadThreshold() {
+    const value = parseFloat(document.getElementById('spread-threshold').value);
+    return value > 0 ? value : SPREAD_DEFAULT_THRESHOLD;
+}
@@ -0,0 +1,219 @@
+/*
+ * Time-and-sales tape for index.html and books.html.
+ *
+ * Lists every parsed operation of the loaded range (swaps, offers or fills, whatever
+ * the chart is built from) in a sortable table. Only the rows in view are rendered,
+ * so ranges with hundreds of thousands of trades scroll smoothly. Clicking a candle
+ * limits the tape to that candle.
+ */
+const TAPE_ROW_HEIGHT = 24; // px, must match .tape-row in main.css
+const TAPE_OVERSCAN = 10;   // rows rendered above and below the viewport
+
+let tapeRows = [];
+let tapeView = [];          // tapeRows filtered to the clicked candle and sorted
+let tapeSort = { key: 'timestamp', descending: true };
+let tapeCandle = null;      // { start, end } of the clicked candle, null for the whole range
+let tapeNamesPending = false;
+let tapeNamesRequested = new Set(); // account ids already asked for, resolved or not
+
+const TAPE_COLUMNS = [
+    { key: 'timestamp', title: 'Time' },
+    { key: 'price', title: 'Price' },
+    { key: 'paid', title: 'Paid' },
+    { key: 'received', title: 'Received' },
+    { key: 'account', title: 'Account' },
+    { key: 'block', title: 'Block' },
+    { key: 'operationId', title: 'Operation' }
+];
+
+/**
+ * Turn hits into tape rows
+ * @param {Object[]} hits
+ * @param {'pool'|'book'|'fill'} kind - swap results, limit_order_create offers or fill_order operations
+ * @param {string} assetA - asset prices are quoted in
+ * @returns {Object[]} [{ timestamp, price, paid, received, account, block, operationId }], amounts as { amount, assetId }
+ */
+function parseTapeRows(hits, kind, assetA) {
+    const rows = [];
+    const field = kind === 'pool' ? 'operation_history.operation_result.keyword' : 'operation_history.op';
+    const value = (fields, name) => fields[name] ? fields[name][0] : null;
+
+    for (const hit of hits) {
+        try {
+            const fields = hit.fields;
+            if (!fields[field]) continue;
+
+            const body = JSON.parse(fields[field][0].replace(/\\\//g, '/'))[1];
+            const [paid, received] = {
+                pool: () => [body.paid && body.paid[0], body.received && body.received[0]],
+                book: () => [body.amount_to_sell, body.min_to_receive],
+                fill: () => [body.pays, body.receives]
+            }[kind]();
+            if (!paid || !received) continue;
+
+            const paidAmount = parseFloat(paid.amount) / 10 ** objectCache[paid.asset_id].precision;
+            const receivedAmount = parseFloat(received.amount) / 10 ** objectCache[received.asset_id].precision;
+            if (!(paidAmount > 0) || !(receivedAmount > 0)) continue;
+
+            rows.push({
+                timestamp: new Date(hit.sort[0]).getTime(),
+                price: paid.asset_id === assetA ? paidAmount / receivedAmount : receivedAmount / paidAmount,
+                paid: { amount: paidAmount, assetId: paid.asset_id },
+                received: { amount: receivedAmount, assetId: received.asset_id },
+                account: value(fields, 'account_history.account.keyword'),
+                block: value(fields, 'block_data.block_num'),
+                operationId: value(fields, 'account_history.operation_id')
+            });
+        } catch (error) {
+            console.warn('Error parsing tape row:', error);
+        }
+    }
+
+    return rows;
+}
+
+// Utility: Sort key of a tape row
+function tapeSortValue(row, key) {
+    if (key === 'paid' || key === 'received') return row[key].amount;
+    if (key === 'account' || key === 'operationId') {
+        // Object ids sort by instance number
+        return row[key] ? parseInt(row[key].split('.')[2]) : 0;
+    }
+    return row[key] || 0;
+}
+
+// Rebuild tapeView from the rows, candle filter and sort, then draw it from the top
+function refreshTapeView() {
+    const direction = tapeSort.descending ? -1 : 1;
+    tapeView = tapeRows
+        .filter(row => !tapeCandle || (row.timestamp >= tapeCandle.start && row.timestamp < tapeCandle.end))
+        .sort((a, b) => direction * (tapeSortValue(a, tapeSort.key) - tapeSortValue(b, tapeSort.key)));
+
+    const panel = document.getElementById('tape-panel');
+    const filterText = tapeCandle
+        ? ` in the candle at ${formatZonedTime(tapeCandle.start).slice(0, 16)}
+            <a href="#" onclick="clearTapeCandle(); return false;">show all</a>`
+        : ', click a candle to show only its trades';
+    const arrow = (key) => tapeSort.key === key ? (tapeSort.descending ? ' ▼' : ' ▲') : '';
+
+    panel.innerHTML = `
+        <strong>Trades</strong> | ${tapeView.length}, times in ${candleTimeZone}${filterText}
+        <div class="tape-row tape-header">
+            ${TAPE_COLUMNS.map(c => `<span class="sortable" onclick="sortTape('${c.key}')">${c.title}${arrow(c.key)}</span>`).join('')}
+        </div>
+        <div class="tape-viewport" id="tape-viewport">
+            <div class="tape-spacer" style="height: ${tapeView.length * TAPE_ROW_HEIGHT}px">
+                <div class="tape-rows" id="tape-rows"></div>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('tape-viewport').addEventListener('scroll', renderTapeRows);
+    renderTapeRows();
+}
+
+// Draw only the rows in (and just around) the viewport
+function renderTapeRows() {
+    const viewport = document.getElementById('tape-viewport');
+    if (!viewport) return;
+
+    const first = Math.max(0, Math.floor(viewport.scrollTop / TAPE_ROW_HEIGHT) - TAPE_OVERSCAN);
+    const count = Math.ceil(viewport.clientHeight / TAPE_ROW_HEIGHT) + 2 * TAPE_OVERSCAN;
+    const rows = tapeView.slice(first, first + count);
+
+    // Resolve the names of visible accounts in the background, then draw again
+    const unknown = [...new Set(rows.map(r => r.account))].filter(id => id && !accountNames.has(id) && !tapeNamesRequested.has(id));
+    if (unknown.length && !tapeNamesPending) {
+        tapeNamesPending = true;
+        unknown.forEach(id => tapeNamesRequested.add(id));
+        getAccountNames(unknown)
+            .catch(error => console.warn('Could not resolve account names:', error.message))
+            .finally(() => {
+                tapeNamesPending = false;
+                // Accounts that cannot be fetched keep their id instead of being asked for again
+                if (unknown.some(id => accountNames.has(id))) renderTapeRows();
+            });
+    }
+
+    const amount = (value) => `${value.amount.toFixed(objectCache[value.assetId].precision)} ${objectCache[value.assetId].symbol}`;
+    const container = document.getElementById('tape-rows');
+    container.style.transform = `translateY(${first * TAPE_ROW_HEIGHT}px)`;
+    container.innerHTML = rows.map(row => `
+        <div class="tape-row">
+            <span>${formatZonedTime(row.timestamp)}</span>
+            <span>${row.price.toFixed(8)}</span>
+            <span>${amount(row.paid)}</span>
+            <span>${amount(row.received)}</span>
+            <span>${row.account ? accountNames.get(row.account) || row.account : ''}</span>
+            <span>${row.block || ''}</span>
+            <span>${row.operationId || ''}</span>
+        </div>
+    `).join('');
+}
+
+// Header click: sort by another column, or flip the order of the current one
+function sortTape(key) {
+    tapeSort = tapeSort.key === key ? { key, descending: !tapeSort.descending } : { key, descending: true };
+    refreshTapeView();
+}
+
+function clearTapeCandle() {
+    tapeCandle = null;
+    refreshTapeView();
+}
+
+function removeTradeTape() {
+    tapeRows = [];
+    tapeView = [];
+    tapeCandle = null;
+    document.getElementById('tape-panel').innerHTML = '';
+}
+
+/**
+ * Fill the tape with the operations of the loaded range
+ * @param {Object[]} hits
+ * @param {'pool'|'book'|'fill'} kind
+ * @param {string} assetA
+ */
+function updateTradeTape(hits, kind, assetA) {
+    tapeRows = parseTapeRows(hits, kind, assetA);
+    tapeCandle = null;
+    tapeNamesRequested = new Set();
+    refreshTapeView();
+}
+
+// Invert toggle: paid and received stay, prices flip to the other orientation
+function invertTradeTape() {
+    if (!tapeRows.length) return;
+    tapeRows = tapeRows.map(row => ({ ...row, price: invertPrice(row.price) }));
+    refreshTapeView();
+}
+
+// A click on the chart (not a drag) filters the tape to the candle under the cursor
+function setupTradeTapeListeners() {
+    const container = document.getElementById('kline-container');
+    let downAt = null;
+
+    container.addEventListener('mousedown', e => { downAt = { x: e.clientX, y: e.clientY }; });
+    container.addEventListener('click', e => {
+        const dragged = downAt && Math.hypot(e.clientX - downAt.x, e.clientY - downAt.y) > 3;
+        if (dragged || !chart || tapeRows.length === 0) return;
+
+        const rect = container.getBoundingClientRect();
+        const [point] = chart.convertFromPixel(
+            [{ x: e.clientX - rect.left, y: e.clientY - rect.top }],
+            { paneId: 'candle_pane', absolute: true }
+        );
+        const candle = point && chart.getDataList()[point.dataIndex];
+        if (!candle) return;
+
+        // Renko bricks and P&F columns cover the trades since the previous bar, not one period
+        const span = barTimeSpan(candle, parseInt(document.getElementById('timeframe').value));
+        tapeCandle = tapeCandle && tapeCandle.start === span.start
+            ? null // second click on the same candle shows everything again
+            : span;
+        refreshTapeView();
+    });
+}
+
+setupTradeTapeListeners();
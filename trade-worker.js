@@ -0,0 +1,60 @@
+/*
+ * Web Worker that parses Elasticsearch hits into trades and builds candles off the main thread.
+ *
+ * Request:  { id, kind: 'pool' | 'book' | 'fill', hits, assetA, timeframeSeconds, assets: { [assetId]: { precision } }, filter, gaps, timeZone }
+ * Replies:  { id, type: 'progress', percent, text }
+ *           { id, type: 'result', trades, candles, dropped }
+ *           { id, type: 'error', message }
+ */
+var objectCache = {};
+
+// The parsers only read objectCache, nothing in these files touches the DOM at load time
+importScripts('candles.js', 'pools.js', 'books.js');
+
+const PARSE_CHUNK_SIZE = 5000;
+
+// parse runs per chunk of hits, finish (if any) runs once over the concatenated output
+const TRADE_PARSERS = {
+    pool: { parse: parsePoolTrades },
+    book: { parse: parseAssetPairTrades },
+    fill: { parse: parseFillOrders, finish: fillsToTrades }
+};
+
+self.onmessage = (event) => {
+    const { id, kind, hits, assetA, timeframeSeconds, assets, filter, gaps, timeZone } = event.data;
+
+    try {
+        objectCache = { ...objectCache, ...assets };
+        setCandleTimeZone(timeZone);
+        const { parse, finish } = TRADE_PARSERS[kind];
+
+        let parsedHits = [];
+        for (let i = 0; i < hits.length; i += PARSE_CHUNK_SIZE) {
+            parsedHits = parsedHits.concat(parse(hits.slice(i, i + PARSE_CHUNK_SIZE), assetA));
+
+            const parsed = Math.min(i + PARSE_CHUNK_SIZE, hits.length);
+            self.postMessage({
+                id,
+                type: 'progress',
+                percent: (parsed / hits.length) * 100,
+                text: `Parsed ${parsed} / ${hits.length} trades...`
+            });
+        }
+
+        let trades = finish ? finish(parsedHits, assetA) : parsedHits;
+
+        // Optional filter stage between parsing and candle building (filterTrades in candles.js)
+        let dropped = null;
+        if (filter) {
+            self.postMessage({ id, type: 'progress', percent: 100, text: 'Filtering trades...' });
+            ({ trades, dropped } = filterTrades(trades, filter));
+        }
+
+        self.postMessage({ id, type: 'progress', percent: 100, text: 'Building candles...' });
+        const candles = tradesToCandles(trades, timeframeSeconds, gaps);
+
+        self.postMessage({ id, type: 'result', trades, candles, dropped });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,193 @@
+/*
+ * Volume denomination and VWAP for index.html and books.html.
+ *
+ * Candles carry the traded amounts of both assets (volumeA / volumeB). The "Volume"
+ * select picks the side the volume pane shows, or values it in BTS with the closes
+ * of the deepest pool between that asset and BTS. The VWAP overlay draws the VWAP
+ * of every candle and / or the cumulative VWAP from an anchor time.
+ */
+const VOLUME_REFERENCE_ASSET = '1.3.0'; // BTS
+
+// How candle volume is computed: { key, mode, side: 'a' | 'b', assetId, poolId, rates: Map candle timestamp -> BTS per unit }
+let volumeDenomination = { key: null, mode: 'b', side: 'b', assetId: null, poolId: null, rates: null };
+let volumeRateTimes = null; // { rates, size, times } sorted timestamps of volumeDenomination.rates
+let vwapPaneId = null;
+let vwapSettings = { candle: false, anchored: false, anchor: null };
+
+// Deepest pool between an asset and BTS, null when there is none
+async function findReferencePool(assetId) {
+    const candidates = Object.entries(objectCache)
+        .filter(([id, pool]) => id.startsWith('1.19.') && (
+            (pool.asset_a === assetId && pool.asset_b === VOLUME_REFERENCE_ASSET) ||
+            (pool.asset_b === assetId && pool.asset_a === VOLUME_REFERENCE_ASSET)))
+        .map(([id]) => id);
+    if (candidates.length <= 1) return candidates[0] || null;
+
+    const pools = await rpc.getObjects(candidates);
+    const depth = (id) => {
+        const pool = pools[id];
+        if (!pool) return 0;
+        return parseFloat(pool.asset_a === VOLUME_REFERENCE_ASSET ? pool.balance_a : pool.balance_b);
+    };
+    return candidates.reduce((best, id) => depth(id) > depth(best) ? id : best);
+}
+
+// Pick the side (and reference pool) for the selected mode, kept while pair, mode and timeframe stay the same
+async function chooseVolumeDenomination(assetA, assetB, timeframeSeconds) {
+    const mode = document.getElementById('volume-mode').value;
+    const key = `${assetA}:${assetB}:${mode}:${timeframeSeconds}`;
+    if (volumeDenomination.key === key) return;
+
+    volumeDenomination = { key, mode, side: mode === 'a' ? 'a' : 'b', assetId: mode === 'a' ? assetA : assetB, poolId: null, rates: null };
+    if (mode !== 'bts') return;
+
+    if (assetA === VOLUME_REFERENCE_ASSET || assetB === VOLUME_REFERENCE_ASSET) {
+        volumeDenomination.side = assetA === VOLUME_REFERENCE_ASSET ? 'a' : 'b';
+        volumeDenomination.assetId = VOLUME_REFERENCE_ASSET;
+        return;
+    }
+
+    for (const [side, assetId] of [['a', assetA], ['b', assetB]]) {
+        const poolId = await findReferencePool(assetId);
+        if (poolId) {
+            volumeDenomination = { key, mode, side, assetId: VOLUME_REFERENCE_ASSET, poolId, rates: new Map() };
+            return;
+        }
+    }
+
+    showError(`No pool prices ${objectCache[assetA].symbol} or ${objectCache[assetB].symbol} in BTS, volume is in ${objectCache[assetB].symbol}`);
+}
+
+/**
+ * Prepare the volume denomination of a slice, called by fetchCandles before denominateVolume
+ * In BTS mode the reference pool's closes for the slice are loaded and kept for Load More and live mode.
+ */
+async function loadVolumeRates(assetA, assetB, startMs, stopMs, timeframeSeconds) {
+    await chooseVolumeDenomination(assetA, assetB, timeframeSeconds);
+    if (!volumeDenomination.poolId) return;
+
+    updateProgress(90, 'Loading BTS reference prices...');
+    // Quoted in BTS, so the close is the BTS value of one unit of the other asset
+    const candles = await getPoolCandles(volumeDenomination.poolId, VOLUME_REFERENCE_ASSET, startMs, stopMs, timeframeSeconds);
+    candles.forEach(candle => volumeDenomination.rates.set(candle.timestamp, candle.close));
+}
+
+// Utility: Reference close of a candle, the nearest earlier one (or the first) when that candle has none
+function volumeRateAt(timestamp) {
+    const rates = volumeDenomination.rates;
+    if (rates.has(timestamp)) return rates.get(timestamp);
+    if (!rates.size) return 0;
+
+    // Sorted rate timestamps, rebuilt when another slice added rates
+    if (!volumeRateTimes || volumeRateTimes.rates !== rates || volumeRateTimes.size !== rates.size) {
+        volumeRateTimes = { rates, size: rates.size, times: [...rates.keys()].sort((a, b) => a - b) };
+    }
+
+    // Binary search for the last rate at or before the candle
+    const times = volumeRateTimes.times;
+    let low = 0;
+    let high = times.length - 1;
+    let found = 0;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (times[middle] <= timestamp) {
+            found = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return rates.get(times[found]);
+}
+
+// Set candle.volume from volumeA / volumeB for the chosen denomination
+function denominateVolume(candles) {
+    const { side, rates } = volumeDenomination;
+    for (const candle of candles) {
+        const amount = (side === 'a' ? candle.volumeA : candle.volumeB) || 0;
+        candle.volume = rates ? amount * volumeRateAt(candle.timestamp) : amount;
+    }
+    return candles;
+}
+
+// Invert toggle: keep the denomination of the loaded candles after assetA / assetB swapped
+function invertVolumeDenomination(assetA, assetB) {
+    if (!volumeDenomination.key) return;
+
+    const { mode } = volumeDenomination;
+    const timeframeSeconds = parseInt(document.getElementById('timeframe').value);
+    volumeDenomination.key = `${assetA}:${assetB}:${mode}:${timeframeSeconds}`;
+    if (mode === 'a' || mode === 'b') {
+        volumeDenomination.assetId = mode === 'a' ? assetA : assetB;
+    } else {
+        // BTS rates (and the BTS side of a BTS pair) belong to an asset that is now on the other side
+        volumeDenomination.side = volumeDenomination.side === 'a' ? 'b' : 'a';
+    }
+}
+
+// Utility: Decimals of the volume shown, for exports
+function volumePrecision() {
+    const asset = objectCache[volumeDenomination.assetId];
+    return asset ? asset.precision : 8;
+}
+
+// Name the volume pane after the asset it is denominated in
+function labelVolumePane() {
+    const asset = objectCache[volumeDenomination.assetId];
+    chart.overrideIndicator({ name: 'VOL', shortName: asset ? `Volume (${asset.symbol})` : 'Volume' });
+}
+
+// Register the VWAP indicator once klinecharts is available
+function registerVwapIndicator() {
+    klinecharts.registerIndicator({
+        name: 'VWAP',
+        shortName: 'VWAP',
+        precision: 8,
+        figures: [
+            { key: 'vwap', title: 'VWAP: ', type: 'line' },
+            { key: 'anchored', title: 'Anchored VWAP: ', type: 'line' }
+        ],
+        calc: (dataList) => {
+            let paidA = 0;
+            let tradedB = 0;
+            return dataList.map(candle => {
+                const point = {};
+                const vwap = candleVwap(candle);
+                if (vwapSettings.candle && vwap !== null) point.vwap = vwap;
+
+                if (vwapSettings.anchored && (vwapSettings.anchor === null || candle.timestamp >= vwapSettings.anchor)) {
+                    paidA += candle.volumeA || 0;
+                    tradedB += candle.volumeB || 0;
+                    if (tradedB > 0) point.anchored = paidA / tradedB;
+                }
+                return point;
+            });
+        }
+    });
+}
+
+function removeVwapOverlay() {
+    if (vwapPaneId && chart) {
+        chart.removeIndicator(vwapPaneId, 'VWAP');
+    }
+    vwapPaneId = null;
+}
+
+// Draw the VWAP lines selected in the controls, an empty anchor starts at the first loaded candle
+function updateVwapOverlay() {
+    removeVwapOverlay();
+
+    const mode = document.getElementById('vwap').value;
+    if (mode === 'off') return;
+
+    vwapSettings = {
+        candle: mode === 'candle' || mode === 'both',
+        anchored: mode === 'anchored' || mode === 'both',
+        anchor: fromDateTimeLocal(document.getElementById('vwap-anchor').value)
+    };
+    vwapPaneId = chart.createIndicator('VWAP', true, { id: 'candle_pane' });
+}
+
+if (typeof klinecharts !== 'undefined') {
+    registerVwapIndicator();
+}